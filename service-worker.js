@@ -1 +1 @@
-const CACHE_VERSION="daf-v-2026-06-24T13-22-14-249Z",STATIC_CACHE=`daf-static-${CACHE_VERSION}`,RUNTIME_CACHE=`daf-runtime-${CACHE_VERSION}`,MAX_AGE_STATIC=2592e6,MAX_AGE_HTML=36e5,MAX_AGE_RUNTIME=6048e5,MAX_AGE_IMMUTABLE=31536e6,MAX_RUNTIME_ENTRIES=80,MAX_IMMUTABLE_ENTRIES=200,IMMUTABLE_CACHE=`daf-immutable-${CACHE_VERSION}`,ASSETS_STATIC=["/delayed-auditory-feedback-online/.DS_Store","/delayed-auditory-feedback-online/daf-social-preview.png","/delayed-auditory-feedback-online/delayed-auditory-feedback-stuttering-tool.jpg","/delayed-auditory-feedback-online/favicon/android-icon-144x144.png","/delayed-auditory-feedback-online/favicon/android-icon-192x192.png","/delayed-auditory-feedback-online/favicon/android-icon-36x36.png","/delayed-auditory-feedback-online/favicon/android-icon-48x48.png","/delayed-auditory-feedback-online/favicon/android-icon-72x72.png","/delayed-auditory-feedback-online/favicon/android-icon-96x96.png","/delayed-auditory-feedback-online/favicon/apple-icon-114x114.png","/delayed-auditory-feedback-online/favicon/apple-icon-120x120.png","/delayed-auditory-feedback-online/favicon/apple-icon-144x144.png","/delayed-auditory-feedback-online/favicon/apple-icon-152x152.png","/delayed-auditory-feedback-online/favicon/apple-icon-180x180.png","/delayed-auditory-feedback-online/favicon/apple-icon-57x57.png","/delayed-auditory-feedback-online/favicon/apple-icon-60x60.png","/delayed-auditory-feedback-online/favicon/apple-icon-72x72.png","/delayed-auditory-feedback-online/favicon/apple-icon-76x76.png","/delayed-auditory-feedback-online/favicon/apple-icon-precomposed.png","/delayed-auditory-feedback-online/favicon/apple-icon.png","/delayed-auditory-feedback-online/favicon/favicon-16x16.png","/delayed-auditory-feedback-online/favicon/favicon-32x32.png","/delayed-auditory-feedback-online/favicon/favicon-96x96.png","/delayed-auditory-feedback-online/favicon/favicon.ico","/delayed-auditory-feedback-online/favicon/manifest.json","/delayed-auditory-feedback-online/favicon/ms-icon-144x144.png","/delayed-auditory-feedback-online/favicon/ms-icon-150x150.png","/delayed-auditory-feedback-online/favicon/ms-icon-310x310.png","/delayed-auditory-feedback-online/favicon/ms-icon-70x70.png","/delayed-auditory-feedback-online/icons/no-bluetooth.svg"],ASSETS_JS=[],ASSETS_HTML=["/delayed-auditory-feedback-online/index.html","/delayed-auditory-feedback-online/"],isDev=!1,BASE_PATH=(()=>{const e=self.location.pathname.split("/");return e.pop(),e.join("/")+"/"})(),OFFLINE_URL=BASE_PATH+"index.html";async function stampResponse(e){const a=e.clone(),t=await a.blob(),n=new Headers(a.headers);return n.set("sw-cached-at",String(Date.now())),new Response(t,{status:a.status,statusText:a.statusText,headers:n})}function isStale(e,a){if(!e)return!0;const t=e.headers.get("sw-cached-at");return!t||Date.now()-Number(t)>a}async function trimCache(e,a){const t=await caches.open(e),n=await t.keys();if(n.length<=a)return;const i=await Promise.all(n.map(async e=>{const a=await t.match(e);return{req:e,time:a?Number(a.headers.get("sw-cached-at")??0):0}}));i.sort((e,a)=>e.time-a.time).slice(0,i.length-a).forEach(({req:e})=>t.delete(e))}async function evictExpired(e,a){const t=await caches.open(e),n=await t.keys();await Promise.all(n.map(async e=>{isStale(await t.match(e),a)&&await t.delete(e)}))}async function serveImmutable(e){const a=await caches.open(IMMUTABLE_CACHE),t=await a.match(e);if(t)return t;try{const t=await fetch(e);if(t?.ok){const n=await stampResponse(t);a.put(e,n).then(()=>trimCache(IMMUTABLE_CACHE,200))}return t}catch{return new Response("",{status:504,statusText:"Network error"})}}async function serveNetworkFirst(e){try{const a=await fetch(e);if(a?.ok){const t=await caches.open(STATIC_CACHE),n=await stampResponse(a);return t.put(e,n),a}}catch{}const a=await caches.open(STATIC_CACHE);return await a.match(e)??await a.match(OFFLINE_URL)??await a.match(BASE_PATH)??new Response("Offline",{status:503,statusText:"Offline"})}async function serveCacheFirst(e,a){const t=await caches.open(STATIC_CACHE),n=await t.match(e);if(n&&!isStale(n,2592e6))return a.waitUntil(revalidateInBackground(e,STATIC_CACHE)),n;const i=await caches.open(RUNTIME_CACHE),o=await i.match(e);if(o&&!isStale(o,6048e5))return a.waitUntil(revalidateInBackground(e,RUNTIME_CACHE)),o;try{const a=await fetch(e);if(a?.ok){const t=await stampResponse(a);await i.put(e,t),trimCache(RUNTIME_CACHE,80)}return a}catch{return n||(o||new Response("",{status:504,statusText:"Network timeout"}))}}async function revalidateInBackground(e,a){try{const t=await fetch(e);if(t?.ok){const n=await caches.open(a);await n.put(e,await stampResponse(t))}}catch{}}self.addEventListener("install",e=>{self.skipWaiting();const a=[...ASSETS_HTML,...ASSETS_JS,...ASSETS_STATIC];e.waitUntil(caches.open(STATIC_CACHE).then(async e=>{await Promise.allSettled(a.map(async a=>{try{const t=await fetch(a,{cache:"no-cache"});t?.ok&&await e.put(a,await stampResponse(t))}catch(e){console.warn("[SW] Precache failed:",a,e)}}))}))}),self.addEventListener("activate",e=>{e.waitUntil((async()=>{const e=new Set([STATIC_CACHE,RUNTIME_CACHE,IMMUTABLE_CACHE]),a=await caches.keys();await Promise.all(a.filter(a=>!e.has(a)).map(e=>caches.delete(e))),await Promise.allSettled([evictExpired(STATIC_CACHE,2592e6),evictExpired(RUNTIME_CACHE,6048e5)]),await self.clients.claim()})())}),self.addEventListener("fetch",e=>{let a;try{a=new URL(e.request.url)}catch{return}if(a.origin!==self.location.origin)return;const t=e.request;a.pathname.startsWith("/_astro/")||a.pathname.includes("/_astro/")?e.respondWith(serveImmutable(t)):"navigate"===t.mode||(t.headers.get("accept")??"").includes("text/html")?e.respondWith(serveNetworkFirst(t)):e.respondWith(serveCacheFirst(t,e))}),self.addEventListener("message",e=>{const{type:a,...t}=e.data??{};switch(a){case"KEEP_ALIVE":e.source?.postMessage({type:"KEEP_ALIVE_CONFIRMATION",timestamp:Date.now()});break;case"VISIBILITY_CHANGE":case"AUDIO_STATE":{const n="VISIBILITY_CHANGE"===a?"VISIBILITY_UPDATE":"AUDIO_STATE_UPDATE";self.clients.matchAll().then(a=>a.forEach(a=>{a.id!==e.source?.id&&a.postMessage({type:n,...t})}));break}}}),self.addEventListener("periodicsync",e=>{"daf-background-sync"===e.tag&&e.waitUntil(Promise.allSettled([evictExpired(STATIC_CACHE,2592e6),evictExpired(RUNTIME_CACHE,6048e5),trimCache(RUNTIME_CACHE,80)]))});
\ No newline at end of file
+const CACHE_VERSION="daf-v-2026-10-19T20-01-15-520Z",STATIC_CACHE=`daf-static-${CACHE_VERSION}`,RUNTIME_CACHE=`daf-runtime-${CACHE_VERSION}`,MAX_AGE_STATIC=2592e6,MAX_AGE_HTML=36e5,MAX_AGE_RUNTIME=6048e5,MAX_AGE_IMMUTABLE=31536e6,MAX_RUNTIME_ENTRIES=80,MAX_IMMUTABLE_ENTRIES=200,IMMUTABLE_CACHE=`daf-immutable-${CACHE_VERSION}`,ASSETS_STATIC=["/delayed-auditory-feedback-online/.DS_Store","/delayed-auditory-feedback-online/daf-social-preview.png","/delayed-auditory-feedback-online/delayed-auditory-feedback-stuttering-tool.jpg","/delayed-auditory-feedback-online/favicon/android-icon-144x144.png","/delayed-auditory-feedback-online/favicon/android-icon-192x192.png","/delayed-auditory-feedback-online/favicon/android-icon-36x36.png","/delayed-auditory-feedback-online/favicon/android-icon-48x48.png","/delayed-auditory-feedback-online/favicon/android-icon-72x72.png","/delayed-auditory-feedback-online/favicon/android-icon-96x96.png","/delayed-auditory-feedback-online/favicon/apple-icon-114x114.png","/delayed-auditory-feedback-online/favicon/apple-icon-120x120.png","/delayed-auditory-feedback-online/favicon/apple-icon-144x144.png","/delayed-auditory-feedback-online/favicon/apple-icon-152x152.png","/delayed-auditory-feedback-online/favicon/apple-icon-180x180.png","/delayed-auditory-feedback-online/favicon/apple-icon-57x57.png","/delayed-auditory-feedback-online/favicon/apple-icon-60x60.png","/delayed-auditory-feedback-online/favicon/apple-icon-72x72.png","/delayed-auditory-feedback-online/favicon/apple-icon-76x76.png","/delayed-auditory-feedback-online/favicon/apple-icon-precomposed.png","/delayed-auditory-feedback-online/favicon/apple-icon.png","/delayed-auditory-feedback-online/favicon/favicon-16x16.png","/delayed-auditory-feedback-online/favicon/favicon-32x32.png","/delayed-auditory-feedback-online/favicon/favicon-96x96.png","/delayed-auditory-feedback-online/favicon/favicon.ico","/delayed-auditory-feedback-online/favicon/manifest.json","/delayed-auditory-feedback-online/favicon/ms-icon-144x144.png","/delayed-auditory-feedback-online/favicon/ms-icon-150x150.png","/delayed-auditory-feedback-online/favicon/ms-icon-310x310.png","/delayed-auditory-feedback-online/favicon/ms-icon-70x70.png","/delayed-auditory-feedback-online/icons/no-bluetooth.svg"],ASSETS_JS=[],ASSETS_HTML=["/delayed-auditory-feedback-online/index.html","/delayed-auditory-feedback-online/"],isDev=!1,BASE_PATH=(()=>{const e=self.location.pathname.split("/");return e.pop(),e.join("/")+"/"})(),OFFLINE_URL=BASE_PATH+"index.html";async function stampResponse(e){const a=e.clone(),t=await a.blob(),n=new Headers(a.headers);return n.set("sw-cached-at",String(Date.now())),new Response(t,{status:a.status,statusText:a.statusText,headers:n})}function isStale(e,a){if(!e)return!0;const t=e.headers.get("sw-cached-at");return!t||Date.now()-Number(t)>a}async function trimCache(e,a){const t=await caches.open(e),n=await t.keys();if(n.length<=a)return;const i=await Promise.all(n.map(async e=>{const a=await t.match(e);return{req:e,time:a?Number(a.headers.get("sw-cached-at")??0):0}}));i.sort((e,a)=>e.time-a.time).slice(0,i.length-a).forEach(({req:e})=>t.delete(e))}async function evictExpired(e,a){const t=await caches.open(e),n=await t.keys();await Promise.all(n.map(async e=>{isStale(await t.match(e),a)&&await t.delete(e)}))}async function serveImmutable(e){const a=await caches.open(IMMUTABLE_CACHE),t=await a.match(e);if(t)return t;try{const t=await fetch(e);if(t?.ok){const n=await stampResponse(t);a.put(e,n).then(()=>trimCache(IMMUTABLE_CACHE,200))}return t}catch{return new Response("",{status:504,statusText:"Network error"})}}async function serveNetworkFirst(e){try{const a=await fetch(e);if(a?.ok){const t=await caches.open(STATIC_CACHE),n=await stampResponse(a);return t.put(e,n),a}}catch{}const a=await caches.open(STATIC_CACHE);return await a.match(e)??await a.match(OFFLINE_URL)??await a.match(BASE_PATH)??new Response("Offline",{status:503,statusText:"Offline"})}async function serveCacheFirst(e,a){const t=await caches.open(STATIC_CACHE),n=await t.match(e);if(n&&!isStale(n,2592e6))return a.waitUntil(revalidateInBackground(e,STATIC_CACHE)),n;const i=await caches.open(RUNTIME_CACHE),o=await i.match(e);if(o&&!isStale(o,6048e5))return a.waitUntil(revalidateInBackground(e,RUNTIME_CACHE)),o;try{const a=await fetch(e);if(a?.ok){const t=await stampResponse(a);await i.put(e,t),trimCache(RUNTIME_CACHE,80)}return a}catch{return n||(o||new Response("",{status:504,statusText:"Network timeout"}))}}async function revalidateInBackground(e,a){try{const t=await fetch(e);if(t?.ok){const n=await caches.open(a);await n.put(e,await stampResponse(t))}}catch{}}self.addEventListener("install",e=>{self.skipWaiting();const a=[...ASSETS_HTML,...ASSETS_JS,...ASSETS_STATIC];e.waitUntil(caches.open(STATIC_CACHE).then(async e=>{await Promise.allSettled(a.map(async a=>{try{const t=await fetch(a,{cache:"no-cache"});t?.ok&&await e.put(a,await stampResponse(t))}catch(e){console.warn("[SW] Precache failed:",a,e)}}))}))}),self.addEventListener("activate",e=>{e.waitUntil((async()=>{const e=new Set([STATIC_CACHE,RUNTIME_CACHE,IMMUTABLE_CACHE]),a=await caches.keys();await Promise.all(a.filter(a=>!e.has(a)).map(e=>caches.delete(e))),await Promise.allSettled([evictExpired(STATIC_CACHE,2592e6),evictExpired(RUNTIME_CACHE,6048e5)]),await self.clients.claim()})())}),self.addEventListener("fetch",e=>{let a;try{a=new URL(e.request.url)}catch{return}if(a.origin!==self.location.origin)return;const t=e.request;a.pathname.startsWith("/_astro/")||a.pathname.includes("/_astro/")?e.respondWith(serveImmutable(t)):"navigate"===t.mode||(t.headers.get("accept")??"").includes("text/html")?e.respondWith(serveNetworkFirst(t)):e.respondWith(serveCacheFirst(t,e))}),self.addEventListener("message",e=>{const{type:a,...t}=e.data??{};switch(a){case"KEEP_ALIVE":e.source?.postMessage({type:"KEEP_ALIVE_CONFIRMATION",timestamp:Date.now()});break;case"VISIBILITY_CHANGE":case"AUDIO_STATE":{const n="VISIBILITY_CHANGE"===a?"VISIBILITY_UPDATE":"AUDIO_STATE_UPDATE";self.clients.matchAll().then(a=>a.forEach(a=>{a.id!==e.source?.id&&a.postMessage({type:n,...t})}));break}}}),self.addEventListener("periodicsync",e=>{"daf-background-sync"===e.tag&&e.waitUntil(Promise.allSettled([evictExpired(STATIC_CACHE,2592e6),evictExpired(RUNTIME_CACHE,6048e5),trimCache(RUNTIME_CACHE,80)]))});
\ No newline at end of file
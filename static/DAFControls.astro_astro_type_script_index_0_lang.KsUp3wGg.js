@@ -0,0 +1,150 @@
+function Ct(n){return function(){let e=n+=1831565813;return e=Math.imul(e^e>>>15,e|1),e^=e+Math.imul(e^e>>>7,e|61),((e^e>>>14)>>>0)/4294967296}}function xe(n,e,t){const s=t()||1e-4,a=t(),o=Math.sqrt(-2*Math.log(s))*Math.cos(2*Math.PI*a);return n+e*o}function xt(n,e){if(n<30){const t=Math.exp(-n);let s=0,a=1;do s++,a*=e();while(a>t);return s-1}else{const t=xe(n,Math.sqrt(n),e);return Math.max(0,Math.round(t))}}function Pt(n,e,t=5){if(e<=0)return{reviews:[],meanValue:0,elementCount:0,dailyReviewCounts:[]};n=Math.max(1,Math.min(5,n));const s=Ct(42),a=[],o=[];let r=0;for(let m=0;m<e;m++){const g=1.8*Math.sin(2*Math.PI*m/(e*.2))*Math.exp(-.04*m),w=n-(n-3)*Math.exp(-.02*m),f=xe(0,.06,s);r+=f;const v=Math.max(1.2,Math.min(4.8,w+g+r));a.push(v);const N=(.1+2.4*Math.pow(m/e,1.5))*t;o.push(xt(N,s))}const c=[],h=1.3;for(let m=0;m<e;m++){const g=o[m];if(g>0)for(let w=0;w<g;w++){const f=xe(a[m],h,s),v=Math.max(1,Math.min(5,Math.round(f)));c.push([m+1,v])}}if(c.length===0)return{reviews:[],meanValue:0,elementCount:0,dailyReviewCounts:o};const p=c.reduce((m,g)=>m+g[1],0)/c.length;return{reviews:c,meanValue:p,elementCount:c.length,dailyReviewCounts:o}}const ot={base:"/delayed-auditory-feedback-online/",datePublished:"2025-02-16",dateModified:new Date().toISOString().split("T")[0],lastUpdatedMonthYearFooter:new Date().toLocaleString("default",{month:"long",year:"numeric"}),currentYear:new Date().getFullYear().toString()},Bt=1e3*60*60*24,Tt=Math.floor((new Date().getTime()-new Date(ot.datePublished).getTime())/Bt),rt=Pt(4.5,Tt,.5);rt.meanValue.toFixed(1),rt.elementCount.toString();const $t=2,Nt=256,Ot=Math.ceil(Nt*$t)+2,Gt=1,we=48e3,Vt="/delayed-auditory-feedback-online/static/pitchShifter.worklet-iMbGG2bH.js",ve="psola";function Ut(n){return Ot/n*1e3}function Se(n,e){return Math.floor(e/n)/e*1e3*Gt}const Pe={deep:{pitchFloor:80,label:"Deep",latencyMs:Se(80,we)},average:{pitchFloor:120,label:"Average",latencyMs:Se(120,we)},high:{pitchFloor:150,label:"High-pitched",latencyMs:Se(150,we)}},ct="average";function Be(n){return Math.pow(2,n/12)}async function Te(n){await n.audioWorklet.addModule(Vt)}const jt=200,Ht=`
+(function () {
+  'use strict';
+
+  const SAMPLES = ${jt};
+
+  class BenchmarkProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this._drifts = [];
+      this._frame0 = -1;
+      this._t0     = 0;
+      this._done   = false;
+    }
+
+    process(_inputs, _outputs, _params) {
+      if (this._done) return false;
+
+      const wallMs = Date.now();
+
+      if (this._frame0 === -1) {
+        // Anchor: record the first quantum's frame count and wall time.
+        // All subsequent drift measurements are relative to this pair.
+        this._frame0 = currentFrame;
+        this._t0     = wallMs;
+        return true;
+      }
+
+      // Expected wall time = anchor + exact sample-accurate elapsed time.
+      // currentFrame is integer samples — no resolution loss here.
+      // Date.now() has 1ms resolution, but the DRIFT (deviation from expected)
+      // still exposes scheduling pressure: a quantum consistently 5ms late
+      // will show as drift ≈ +5ms regardless of Date.now() coarsening.
+      const expectedMs = this._t0 + ((currentFrame - this._frame0) / sampleRate) * 1000;
+      this._drifts.push(wallMs - expectedMs);
+
+      if (this._drifts.length >= SAMPLES) {
+        this._done = true;
+        this.port.postMessage({ drifts: this._drifts });
+        return false;
+      }
+
+      return true;
+    }
+  }
+
+  registerProcessor('benchmark-processor', BenchmarkProcessor);
+})();
+`;async function $e(n,e=Ht){const t=new Blob([e],{type:"application/javascript"}),s=URL.createObjectURL(t);try{await n.audioWorklet.addModule(s)}finally{URL.revokeObjectURL(s)}}function Wt(n){return n.reduce((e,t)=>e+t,0)/n.length}function qt(n,e){const t=n.reduce((s,a)=>s+(a-e)**2,0)/n.length;return Math.sqrt(t)}function zt(n){const e=[...n].sort((t,s)=>t-s);return e[Math.floor(e.length*.95)]??e[e.length-1]??0}function Kt(){const n=Date.now(),e=performance.now();for(;performance.now()-e<5;);return Date.now()===n}async function Jt(n,e,t){if(n.state!=="running")throw new Error(`AudioContext must be running (current state: ${n.state})`);const s=Kt();s&&console.warn("BenchmarkManager: Date.now() appears coarsened to ≥10 ms (likely Firefox with privacy.resistFingerprinting = true). Drift measurements will be meaningless — surfacing warning in result.");const a=(n.baseLatency??0)*1e3,o=(n.outputLatency??0)*1e3;let r=null;try{const k=e?.getAudioTracks?.()?.[0]?.getSettings?.();k?.latency&&(r=k.latency*1e3)}catch{}const c=a+o+(r??0),h=Math.round(n.baseLatency*n.sampleRate),p=128/n.sampleRate*1e3;await $e(n);const m=await new Promise((k,O)=>{let R=null;const Q=setTimeout(()=>{try{R?.disconnect()}catch{}O(new Error("Benchmark timed out"))},5e3);try{R=new AudioWorkletNode(n,"benchmark-processor",{numberOfInputs:0,numberOfOutputs:1,outputChannelCount:[1]}),R.port.onmessage=C=>{clearTimeout(Q);try{R.disconnect()}catch{}k(C.data.drifts)},R.onprocessorerror=C=>{clearTimeout(Q),O(new Error(`Benchmark worklet error: ${C}`))},R.connect(n.destination)}catch(C){clearTimeout(Q),O(C)}});if(m.length<10)throw new Error(`Too few samples collected (${m.length})`);const g=m.map(Math.abs),w=Wt(m),f=qt(m,w),v=zt(g),N=Math.min(...m),X=Math.max(...m);return{sampleRate:n.sampleRate,baseLatencyMs:Math.round(a*10)/10,outputLatencyMs:Math.round(o*10)/10,inputLatencyMs:r!==null?Math.round(r*10)/10:null,fafLatencyMs:Math.round(t*10)/10,totalFloorMs:Math.round(c*10)/10,estimatedBufferSamples:h,quantumMs:Math.round(p*100)/100,clockCoarsened:s,jitter:{minDriftMs:Math.round(N*10)/10,maxDriftMs:Math.round(X*10)/10,meanDriftMs:Math.round(w*10)/10,p95DriftMs:Math.round(v*10)/10,stddevMs:Math.round(f*10)/10,samples:m.length}}}const Yt=4096,lt=`
+(function () {
+  'use strict';
+
+  const CHUNK = ${Yt};
+
+  class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this._dry     = new Float32Array(CHUNK);
+      this._wet     = new Float32Array(CHUNK);
+      this._fill    = 0;
+      this._stopped = false;
+
+      this.port.onmessage = (e) => {
+        if (e.data !== 'stop') return;
+        this._flush();
+        this._stopped = true;
+        this.port.postMessage({ done: true });
+      };
+    }
+
+    process(inputs) {
+      if (this._stopped) return false;
+
+      // Input 0 is the dry microphone signal, input 1 the fed-back output.
+      // An input with nothing connected arrives as an empty channel list,
+      // so it is recorded as silence rather than skipped — both tracks stay
+      // sample-aligned for the stereo export.
+      const dry = inputs[0]?.[0];
+      const wet = inputs[1]?.[0];
+      const n   = dry?.length ?? wet?.length ?? 128;
+
+      for (let i = 0; i < n; i++) {
+        this._dry[this._fill] = dry ? dry[i] : 0;
+        this._wet[this._fill] = wet ? wet[i] : 0;
+        if (++this._fill === CHUNK) this._flush();
+      }
+
+      return true;
+    }
+
+    // Chunks leave the audio thread already as 16-bit PCM: half the size
+    // of float samples, and the main thread can append them to the WAV
+    // without another conversion pass.
+    _flush() {
+      if (this._fill === 0) return;
+      const dry = toPcm16(this._dry, this._fill);
+      const wet = toPcm16(this._wet, this._fill);
+      this._fill = 0;
+      this.port.postMessage({ dry, wet }, [dry.buffer, wet.buffer]);
+    }
+  }
+
+  function toPcm16(samples, length) {
+    const out = new Int16Array(length);
+    for (let i = 0; i < length; i++) {
+      const v = Math.max(-1, Math.min(1, samples[i]));
+      out[i] = v < 0 ? v * 32768 : v * 32767;
+    }
+    return out;
+  }
+
+  registerProcessor('recorder-processor', RecorderProcessor);
+})();
+`;function Ne(n,e,t){const s=n*2,a=t*s,o=new DataView(new ArrayBuffer(44)),r=(c,h)=>{for(let p=0;p<h.length;p++)o.setUint8(c+p,h.charCodeAt(p))};return r(0,"RIFF"),o.setUint32(4,36+a,!0),r(8,"WAVE"),r(12,"fmt "),o.setUint32(16,16,!0),o.setUint16(20,1,!0),o.setUint16(22,n,!0),o.setUint32(24,e,!0),o.setUint32(28,e*s,!0),o.setUint16(32,s,!0),o.setUint16(34,16,!0),r(36,"data"),o.setUint32(40,a,!0),o.buffer}function Xt(n,e){const t=n.length,s=n[0]?.length??0,a=new DataView(new ArrayBuffer(s*t*2));let o=0;for(let r=0;r<s;r++)for(let c=0;c<t;c++){const h=Math.max(-1,Math.min(1,n[c][r]));a.setInt16(o,h<0?h*32768:h*32767,!0),o+=2}return new Blob([Ne(t,e,s),a.buffer],{type:"audio/wav"})}const dt=65536;async function Qt(n,e,t){const s=Math.min(n.size-44,e.size-44)>>1,a=[Ne(2,t,s)];for(let o=0;o<s;o+=dt){const r=Math.min(dt,s-o),c=44+o*2,[h,p]=await Promise.all([n.slice(c,c+r*2).arrayBuffer(),e.slice(c,c+r*2).arrayBuffer()]),m=new Int16Array(h),g=new Int16Array(p),w=new Int16Array(r*2);for(let f=0;f<r;f++)w[2*f]=m[f],w[2*f+1]=g[f];a.push(new Blob([w]))}return new Blob(a,{type:"audio/wav"})}async function ut(n){const e=await n.arrayBuffer(),t=new DataView(e),s=t.getUint16(22,!0),a=(e.byteLength-44)/(s*2),o=Array.from({length:s},()=>new Float32Array(a));let r=44;for(let c=0;c<a;c++)for(let h=0;h<s;h++)o[h][c]=t.getInt16(r,!0)/32768,r+=2;return{channels:o,sampleRate:t.getUint32(24,!0)}}const Zt="daf-online",es=2;function ts(){return new Promise((n,e)=>{const t=indexedDB.open(Zt,es);t.onupgradeneeded=()=>{const s=t.result;for(const a of["takes","sessions"])s.objectStoreNames.contains(a)||s.createObjectStore(a,{keyPath:"id",autoIncrement:!0})},t.onsuccess=()=>n(t.result),t.onerror=()=>e(t.error)})}function Me(n){return new Promise((e,t)=>{n.onsuccess=()=>e(n.result),n.onerror=()=>t(n.error)})}class ht{_name;_db=null;constructor(e){this._name=e}async add(e){return Me((await this._store("readwrite")).add(e))}async get(e){return Me((await this._store("readonly")).get(e))}async list(){return(await Me((await this._store("readonly")).getAll())).sort((t,s)=>s.id-t.id)}async delete(e){return Me((await this._store("readwrite")).delete(e))}async _store(e){return this._db??=ts().catch(t=>{throw this._db=null,t}),(await this._db).transaction(this._name,e).objectStore(this._name)}}const pt=1200*1e3,ss=64;class mt{_blobs=[];_parts=[];_frames=0;push(e){this._parts.push(e),this._frames+=e.length,this._parts.length>=ss&&(this._blobs.push(new Blob(this._parts)),this._parts=[])}toWav(e){return new Blob([Ne(1,e,this._frames),...this._blobs,...this._parts],{type:"audio/wav"})}}class ft{_node=null;_taps=[];_dry=null;_wet=null;_frames=0;_maxFrames=0;_startedAt=0;_sampleRate=0;onLimit=null;get isRecording(){return!!this._node}start(e,t,s){if(this._node)return;const a=new AudioWorkletNode(e,"recorder-processor",{numberOfInputs:2,numberOfOutputs:0,channelCount:1,channelCountMode:"explicit"});a.port.onmessage=o=>{const r=o.data.dry;if(!r||this._frames>=this._maxFrames)return;const c=Math.min(r.length,this._maxFrames-this._frames);this._dry.push(r.subarray(0,c)),this._wet.push(o.data.wet.subarray(0,c)),this._frames+=c,this._frames>=this._maxFrames&&this.onLimit?.()},t.connect(a,0,0),s.connect(a,0,1),this._node=a,this._taps=[t,s],this._dry=new mt,this._wet=new mt,this._frames=0,this._sampleRate=e.sampleRate,this._maxFrames=Math.round(pt/1e3*e.sampleRate),this._startedAt=Date.now()}async stop(){const e=this._node;if(!e)return null;this._node=null,await new Promise(a=>{const o=setTimeout(a,1e3),r=e.port.onmessage;e.port.onmessage=c=>{r?.(c),c.data.done&&(clearTimeout(o),a())},e.port.postMessage("stop")});for(const a of this._taps)try{a.disconnect(e)}catch{}this._taps=[];const t=this._dry.toWav(this._sampleRate),s=this._wet.toWav(this._sampleRate);return this._dry=null,this._wet=null,{dry:t,wet:s,sampleRate:this._sampleRate,startedAt:this._startedAt,durationMs:this._frames/this._sampleRate*1e3}}}const gt=3,ns=.75,yt=.08,as=600,is=8;function os(n){const e=n.sampleRate,t=Math.round(yt*e),s=Math.round(ns*e),a=n.createBuffer(1,s*gt,e),o=a.getChannelData(0),r=300,c=(6e3-r)/yt;for(let h=0;h<t;h++){const p=h/e,m=.5*(.5-.5*Math.cos(2*Math.PI*h/(t-1)))*Math.sin(2*Math.PI*(r*p+.5*c*p*p));for(let g=0;g<gt;g++)o[g*s+h]=m}return a}function Oe(n,e,t=!1){const s=n.length;for(let a=1,o=0;a<s;a++){let r=s>>1;for(;o&r;r>>=1)o^=r;o^=r,a<o&&([n[a],n[o]]=[n[o],n[a]],[e[a],e[o]]=[e[o],e[a]])}for(let a=2;a<=s;a<<=1){const o=(t?2:-2)*Math.PI/a,r=Math.cos(o),c=Math.sin(o),h=a>>1;for(let p=0;p<s;p+=a){let m=1,g=0;for(let w=0;w<h;w++){const f=p+w,v=f+h,N=n[v]*m-e[v]*g,X=n[v]*g+e[v]*m;n[v]=n[f]-N,e[v]=e[f]-X,n[f]+=N,e[f]+=X;const k=m*r-g*c;g=m*c+g*r,m=k}}}}function rs(n,e,t){let s=1;for(;s<Math.max(n.length,e.length)+t;)s<<=1;const a=new Float64Array(s),o=new Float64Array(s),r=new Float64Array(s),c=new Float64Array(s);a.set(n),r.set(e),Oe(a,o),Oe(r,c);for(let p=0;p<s;p++){const m=a[p]*r[p]+o[p]*c[p];o[p]=o[p]*r[p]-a[p]*c[p],a[p]=m}Oe(a,o,!0);const h=new Float64Array(t+1);for(let p=0;p<=t;p++)h[p]=a[p]/s;return h}function cs(n,e,t){const s=Math.round(as/1e3*t),a=rs(n,e,s);let o=0,r=0,c=0;for(let p=0;p<=s;p++){const m=Math.abs(a[p]);c+=m,m>o&&(o=m,r=p)}const h=c>0?o/(c/(s+1)):0;return{roundTripMs:Math.round(r/t*1e4)/10,confidence:Math.round(h*10)/10}}const ls=["speechMs","silentMs","voicedMs","pauseCount","pauseTotalMs","syllables","f0Sum","f0Count"];function ds(n,e){if(!n)return e;if(!e)return n;const t={...e};for(const s of ls)t[s]=n[s]+e[s];return t.longestPauseMs=Math.max(n.longestPauseMs,e.longestPauseMs),t.f0Min=n.f0Count&&e.f0Count?Math.min(n.f0Min,e.f0Min):n.f0Count?n.f0Min:e.f0Min,t.f0Max=Math.max(n.f0Max,e.f0Max),t}function Ge(n){const e=n.speechMs+n.silentMs,t=s=>Math.round(s*10)/10;return{speakingMs:n.speechMs,speakingPct:e>0?Math.round(n.speechMs/e*100):0,pauseCount:n.pauseCount,avgPauseMs:n.pauseCount?Math.round(n.pauseTotalMs/n.pauseCount):0,longestPauseMs:n.longestPauseMs,syllablesPerSec:n.speechMs>0?t(n.syllables/(n.speechMs/1e3)):0,f0MeanHz:n.f0Count?Math.round(n.f0Sum/n.f0Count):null,f0MinHz:n.f0Count?Math.round(n.f0Min):null,f0MaxHz:n.f0Count?Math.round(n.f0Max):null}}const W={type:"off",levelDb:-20,gated:!1,attackMs:10,releaseMs:150},D={mode:"both",fafEar:"right",dry:"off",dryLevel:50,leftGain:100,rightGain:100,leftDelayMs:0,rightDelayMs:0,balance:0},Ve=new ht("takes"),le=new ht("sessions"),de="daf-session-checkpoint:",us=15e3,hs=12e4;async function ps(){const n=[];try{for(let s=0;s<localStorage.length;s++){const a=localStorage.key(s);a?.startsWith(de)&&n.push(a)}}catch{return}if(n.length===0)return;let e;try{e=new Set((await le.list()).map(s=>s.startedAt))}catch(s){console.warn("Recovering practice session failed:",s);return}let t=0;for(const s of n){let a=null;try{a=JSON.parse(localStorage.getItem(s)??"null")}catch{}if(!(a&&Date.now()-a.endedAt<hs))try{a&&!e.has(a.startedAt)&&(await le.add(a),t++),localStorage.removeItem(s)}catch(o){console.warn("Recovering practice session failed:",o)}}t>0&&document.dispatchEvent(new CustomEvent("daf:history-changed"))}function ee(n,e){const t=URL.createObjectURL(n),s=document.createElement("a");s.href=t,s.download=e,s.click(),setTimeout(()=>URL.revokeObjectURL(t),1e3)}class _t{_ctx=null;_nodes={source:null,gainNode:null,delayNode:null,fafGain:null,dry:null,ears:[],merger:null,output:null};_routing={...D};_mafNode=null;_fafNodes=[];_fafSumNode=null;_fafActive=!1;_workletReady=!1;_pitchFloor=Pe[ct].pitchFloor;_fafMode=ve;_recorder=new ft;_recorderReady=!1;_analyser=null;measuredFloorMs=null;delayOffsetMs=0;constructor(e){this._init(e)}get context(){return this._ctx}get state(){return this._ctx?.state??"closed"}get gainValue(){return this._nodes.gainNode?.gain.value??1}get fafLatencyMs(){return!this._fafActive||!this._ctx?0:this._fafMode==="ola"?Ut(this._ctx.sampleRate):Se(this._pitchFloor,this._ctx.sampleRate)}get isRecording(){return this._recorder.isRecording}set pitchFloor(e){this._pitchFloor=e}set fafMode(e){this._fafMode=e}connect(e,t){const s=this._ctx,a=this._nodes;a.source=e instanceof AudioNode?e:s.createMediaStreamSource(e),a.gainNode=s.createGain(),a.delayNode=s.createDelay(.5),a.fafGain=s.createGain(),a.dry=s.createGain(),a.merger=s.createChannelMerger(2),a.output=s.createGain(),a.ears=[0,1].map(c=>{const h=s.createGain(),p=s.createDelay(.25);return h.connect(p),p.connect(a.merger,0,c),{gain:h,delay:p}});const o=1e-6;a.delayNode.delayTime.value=Math.max(o,t.delayTime/1e3),a.gainNode.gain.value=t.gain,a.fafGain.gain.value=t.gain,a.delayNode.connect(a.gainNode),a.source.connect(a.dry),a.merger.connect(a.output),a.output.connect(s.destination),this._routing={...D,...t.routing},this._wireFeedback(),this._routeEars();const r=t.multiFAFSemitones?.length?t.multiFAFSemitones:t.pitchShift!==0?[t.pitchShift]:[];r.length>0&&this.setFAFNodes(r).catch(c=>console.warn("FAF init failed:",c)),t.maf?.type!=="off"&&this.setMAF(t.maf).catch(c=>console.warn("MAF init failed:",c))}disconnect(){if(this._teardownFAF(),this._analyser){try{this._nodes.source?.disconnect(this._analyser),this._analyser.port.onmessage=null}catch{}this._analyser=null}this._teardownMAF();const e=this._nodes;[e.source,e.gainNode,e.delayNode,e.fafGain,e.dry,...e.ears.flatMap(t=>[t.gain,t.delay]),e.merger,e.output].forEach(t=>{try{t?.disconnect()}catch{}}),this._nodes={source:null,gainNode:null,delayNode:null,fafGain:null,dry:null,ears:[],merger:null,output:null}}async close(){if(this.disconnect(),this._ctx&&this._ctx.state!=="closed")try{await this._ctx.close()}catch(e){console.error("Error closing AudioContext:",e)}this._ctx=null,this.measuredFloorMs=null,this._workletReady=!1,this._recorderReady=!1}async resume(){this._ctx?.state==="suspended"&&await this._ctx.resume()}setDelayTime(e){if(!this._ctx||!this._nodes.delayNode)return;const t=e-this.delayOffsetMs,s=t<=0?1e-6:t/1e3;this._nodes.delayNode.delayTime.setValueAtTime(s,this._ctx.currentTime)}setGain(e){!this._ctx||!this._nodes.gainNode||(this._nodes.gainNode.gain.setValueAtTime(e,this._ctx.currentTime),this._nodes.fafGain.gain.setValueAtTime(e,this._ctx.currentTime))}rampDelayTime(e,t){!this._ctx||!this._nodes.delayNode||this._rampParam(this._nodes.delayNode.delayTime,e-this.delayOffsetMs<=0?1e-6:(e-this.delayOffsetMs)/1e3,t)}rampGain(e,t){!this._ctx||!this._nodes.gainNode||(this._rampParam(this._nodes.gainNode.gain,e,t),this._rampParam(this._nodes.fafGain.gain,e,t))}async rampFAFSemitones(e,t){if(this._ctx){if(this._fafActive&&this._fafNodes.length===1){const s=this._fafNodes[0].parameters.get("pitchRatio");s&&this._rampParam(s,Be(e),t);return}return this.setFAFSemitones(e)}}holdParams(){if(!this._ctx)return;const e=[this._nodes.delayNode?.delayTime,this._nodes.gainNode?.gain,this._nodes.fafGain?.gain,...this._fafNodes.map(t=>t.parameters.get("pitchRatio"))];for(const t of e)t&&this._rampParam(t,t.value,0)}_rampParam(e,t,s){const a=this._ctx.currentTime;e.cancelScheduledValues(a),e.setValueAtTime(e.value,a),s>0?e.linearRampToValueAtTime(t,a+s):e.setValueAtTime(t,a)}async setFAFSemitones(e){return this.setFAFNodes(e===0?[]:[e])}async setFAFNodes(e){if(!this._ctx||!this._nodes.source||!this._nodes.delayNode)return;if(e.length===0){if(!this._fafActive)return;this._teardownFAF(),this._wireFeedback(),console.log("FAF bypassed");return}if(!this._workletReady)try{await Te(this._ctx),this._workletReady=!0}catch(a){throw console.error("PitchShifterWorklet failed to load:",a),a}if(!this._ctx||!this._nodes.source||!this._nodes.delayNode)return;if(e.length===this._fafNodes.length&&this._fafActive){for(let o=0;o<e.length;o++){const r=this._fafNodes[o].parameters.get("pitchRatio");r&&(r.value=Be(e[o]))}const a=e.map(o=>`${o>0?"+":""}${o}`).join(", ");console.log(`FAF ratios updated: [${a}] st`);return}this._teardownFAF();const t=e.length;this._fafSumNode=this._ctx.createGain(),this._fafSumNode.gain.value=1/t;for(const a of e){const o=`pitch-shifter-${this._fafMode}`,r=new AudioWorkletNode(this._ctx,o,{numberOfInputs:1,numberOfOutputs:1,outputChannelCount:[1],processorOptions:this._fafMode==="ola"?{}:{pitchFloor:this._pitchFloor}}),c=r.parameters.get("pitchRatio");c&&(c.value=Be(a)),this._nodes.source.connect(r),r.connect(this._fafSumNode),this._fafNodes.push(r)}this._fafActive=!0,this._wireFeedback();const s=e.map(a=>`${a>0?"+":""}${a}`).join(", ");console.log(`FAF enabled [${t} signal${t>1?"s":""}]: [${s}] st`)}setRouting(e){this._routing={...D,...e},this._ctx&&this._nodes.merger&&(this._wireFeedback(),this._routeEars(),console.log(`Output routing: ${this._routing.mode==="split"?`DAF ${this._routing.fafEar==="left"?"right":"left"} / FAF ${this._routing.fafEar}`:"DAF both ears"}${this._routing.dry!=="off"?`, dry ${this._routing.dry}`:""}`))}_wireFeedback(){const{source:e,delayNode:t,fafGain:s}=this._nodes,a=this._fafSumNode,o=this._routing.mode==="split",r=(c,h,p)=>{try{p?c.connect(h):c.disconnect(h)}catch{}};!e||!t||(r(e,t,!a||o),a&&(r(a,t,!o),r(a,s,o)))}_routeEars(){const{gainNode:e,fafGain:t,dry:s,ears:a}=this._nodes,o=this._routing,r=this._ctx.currentTime,c={left:[a[0]],right:[a[1]],both:a};for(const m of[e,t,s])for(const g of a)try{m.disconnect(g.gain)}catch{}const h=o.fafEar==="left"?"right":"left";o.mode==="split"?(c[h].forEach(m=>e.connect(m.gain)),c[o.fafEar].forEach(m=>t.connect(m.gain))):a.forEach(m=>e.connect(m.gain)),o.dry!=="off"&&c[o.dry].forEach(m=>s.connect(m.gain)),s.gain.setValueAtTime(o.dryLevel/100,r);const p=o.balance/100;a[0].gain.gain.setValueAtTime(o.leftGain/100*Math.min(1,1-p),r),a[1].gain.gain.setValueAtTime(o.rightGain/100*Math.min(1,1+p),r),a[0].delay.delayTime.setValueAtTime(o.leftDelayMs/1e3,r),a[1].delay.delayTime.setValueAtTime(o.rightDelayMs/1e3,r)}async setMAF(e){if(!this._ctx||!this._nodes.source||!this._nodes.output)return;if(!e||e.type==="off"){this._mafNode&&(this._teardownMAF(),console.log("MAF off"));return}if(!this._workletReady)try{await Te(this._ctx),this._workletReady=!0}catch(o){throw console.error("PitchShifterWorklet failed to load:",o),o}if(!this._ctx||!this._nodes.source||!this._nodes.output)return;let t=this._mafNode;t?t.port.postMessage({noiseType:e.type}):(t=new AudioWorkletNode(this._ctx,"masking-noise",{numberOfInputs:1,numberOfOutputs:1,outputChannelCount:[1],processorOptions:{noiseType:e.type}}),this._nodes.source.connect(t),this._nodes.ears.forEach(o=>t.connect(o.gain)),this._mafNode=t);const s=this._ctx.currentTime,a=(o,r)=>t.parameters.get(o)?.setValueAtTime(r,s);a("level",Math.pow(10,e.levelDb/20)),a("gated",e.gated?1:0),a("attack",e.attackMs),a("release",e.releaseMs),console.log(`MAF ${e.type} noise at ${e.levelDb} dB${e.gated?` (voice-gated ${e.attackMs}/${e.releaseMs} ms)`:""}`)}async startAnalysis(e){if(!this._ctx||!this._nodes.source||this._analyser)return;if(!this._workletReady)try{await Te(this._ctx),this._workletReady=!0}catch(s){throw console.error("PitchShifterWorklet failed to load:",s),s}if(!this._ctx||!this._nodes.source||this._analyser)return;const t=new AudioWorkletNode(this._ctx,"speech-analyser",{numberOfInputs:1,numberOfOutputs:0,channelCount:1,channelCountMode:"explicit"});t.port.onmessage=s=>e(s.data),this._nodes.source.connect(t),this._analyser=t}async startRecording(){if(!this._ctx||!this._nodes.source||!this._nodes.output)throw new Error("AudioContext not initialised");this._recorderReady||(await $e(this._ctx,lt),this._recorderReady=!0),this._recorder.start(this._ctx,this._nodes.source,this._nodes.output)}set onRecordingLimit(e){this._recorder.onLimit=e}stopRecording(){return this._recorder.stop()}onStateChange(e){this._ctx?.addEventListener("statechange",t=>{const s=t.target.state;e(s)})}measureLatencyFloor(e){if(this._ctx)try{const t=((this._ctx.baseLatency??0)+(this._ctx.outputLatency??0))*1e3;let s=0;try{const o=e?.getAudioTracks?.()?.[0]?.getSettings?.();o?.latency&&(s=o.latency*1e3)}catch{}const a=s+t;this.measuredFloorMs=a,console.log(`Latency floor: ${t.toFixed(1)}ms (output)`+(s?` + ${s.toFixed(1)}ms (input)`:" + 0 (input unknown)")+` = ${a.toFixed(1)}ms total`),a>25&&console.warn(`Round-trip floor ${a.toFixed(1)}ms > 25ms — slap-back likely at low delay settings`)}catch{}}async benchmark(e){if(!this._ctx)throw new Error("AudioContext not initialised");return Jt(this._ctx,e,this.fafLatencyMs)}async measureLoopback(){const e=this._ctx,t=this._nodes;if(!e||!t.source||!t.output)throw new Error("AudioContext not initialised");if(e.state!=="running")throw new Error(`AudioContext must be running (current state: ${e.state})`);this._recorderReady||(await $e(e,lt),this._recorderReady=!0);const s=e.createBufferSource(),a=new ft,o=t.output.gain.value;s.buffer=os(e),t.output.gain.setValueAtTime(0,e.currentTime);let r;try{a.start(e,t.source,s),s.connect(e.destination),await new Promise(m=>{const g=setTimeout(m,(s.buffer.duration+1)*1e3);s.onended=()=>{clearTimeout(g),m()},s.start()}),r=await a.stop()}finally{try{s.disconnect()}catch{}t.output?.gain.setValueAtTime(o,e.currentTime)}const[c,h]=await Promise.all([ut(r.dry),ut(r.wet)]),p=cs(c.channels[0],h.channels[0],r.sampleRate);if(p.confidence<is)throw new Error("Test chirp not picked up — turn off echo cancellation, raise the volume and keep the mic near your speakers or headphones");return console.log(`Loopback round trip: ${p.roundTripMs}ms (confidence ${p.confidence})`),p}_teardownMAF(){const e=this._mafNode;if(e){try{this._nodes.source?.disconnect(e)}catch{}try{e.disconnect()}catch{}this._mafNode=null}}_teardownFAF(){const e=this._nodes.source;for(const t of this._fafNodes){if(e)try{e.disconnect(t)}catch{}try{t.disconnect()}catch{}}if(this._fafNodes=[],this._fafSumNode){try{this._fafSumNode.disconnect()}catch{}this._fafSumNode=null}this._fafActive=!1}_init(e){if(e&&typeof e=="object"){this._ctx=e;return}const t={latencyHint:0};e&&Number.isFinite(e)&&(t.sampleRate=e);const s=window.AudioContext??window.webkitAudioContext;this._ctx=new s(t)}}const ms=1;async function wt(n){return new OfflineAudioContext(1,1,we).decodeAudioData(await n.arrayBuffer())}async function vt(n,e){const t=n.sampleRate,s=new OfflineAudioContext(2,n.length+Math.ceil(ms*t),t),a=s.createBuffer(1,n.length,t),o=a.getChannelData(0);for(let h=0;h<n.numberOfChannels;h++){const p=n.getChannelData(h);for(let m=0;m<o.length;m++)o[m]+=p[m]/n.numberOfChannels}const r=s.createBufferSource(),c=new _t(s);r.buffer=a,c.pitchFloor=e.pitchFloor,c.fafMode=e.fafMode,c.connect(r,{...e,pitchShift:0,multiFAFSemitones:[],maf:{...W}}),await c.setFAFNodes(e.multiFAFSemitones.length?e.multiFAFSemitones:e.pitchShift!==0?[e.pitchShift]:[]),await c.setMAF(e.maf),r.start(0);try{const h=await s.startRendering();return{buffer:h,wav:Xt([h.getChannelData(0),h.getChannelData(1)],t),fafLatencyMs:c.fafLatencyMs}}finally{c.disconnect()}}class Fe{availableDevices=[];selectedDeviceId=null;micAccessGranted=!1;echoCancellation=!1;noiseSuppression=!1;_ui;_reporter;_sampleRate=null;_currentLabel="";_initialized=!1;_onDeviceChange=null;constructor(e,t){this._ui=e,this._reporter=t}get currentLabel(){return this._currentLabel}async acquireStream(e=null){if(e)return this.micAccessGranted=!0,this._recordTrackMeta(e.getAudioTracks()[0]),{stream:e,sampleRate:this._sampleRate};const t={audio:{echoCancellation:this.echoCancellation,autoGainControl:!1,noiseSuppression:this.noiseSuppression,channelCount:1,...this.selectedDeviceId?{deviceId:{exact:this.selectedDeviceId}}:{}}},s=await navigator.mediaDevices.getUserMedia(t);this.micAccessGranted=!0,this._recordTrackMeta(s.getAudioTracks()[0]);try{const a=await navigator.mediaDevices.enumerateDevices();this.availableDevices=a.filter(o=>o.kind==="audioinput")}catch(a){console.warn("Could not refresh device list after mic grant:",a)}return{stream:s,sampleRate:this._sampleRate}}releaseStream(e){e&&(e.getTracks().forEach(t=>{t.stop(),t.enabled=!1}),this.micAccessGranted=!1)}async enumerate(){try{let e=null;if(!this.micAccessGranted)try{e=await navigator.mediaDevices.getUserMedia({audio:!0})}catch{}const t=await navigator.mediaDevices.enumerateDevices();return e&&e.getTracks().forEach(s=>{try{s.stop()}catch{}}),this.availableDevices=t.filter(s=>s.kind==="audioinput"),console.log("Audio inputs:",this.availableDevices),this._autoSelectHeadphone(),this._reflectSelectedDeviceInUI(),this._ui.populateDeviceDropdown(this.availableDevices,this.selectedDeviceId),this.availableDevices}catch(e){return console.error("Error enumerating audio devices:",e),this._ui.updateDeviceUI("Default microphone",!1),[]}}async _acquireAndRestart(e,t){const s=this.selectedDeviceId;let a=null;try{a=await navigator.mediaDevices.getUserMedia({audio:{echoCancellation:this.echoCancellation,autoGainControl:!1,noiseSuppression:this.noiseSuppression,channelCount:1,deviceId:{exact:e}}})}catch(r){const{message:c}=this._reporter.classifyMicError(r);return this._ui.updateStatus(c,"error"),!1}this.selectedDeviceId=e;const o=await t(a);return o||(this.selectedDeviceId=s),o}async selectById(e,t,s){if(!e)return!1;if(!t)return this.selectedDeviceId=e,this._ui.syncDeviceDropdown(e),!0;if(!await this._acquireAndRestart(e,s))return this._ui.syncDeviceDropdown(this.selectedDeviceId),!1;const a=this.availableDevices.find(o=>o.deviceId===e)?.label??"Selected microphone";return this._ui.updateDeviceUI(a,this._isHeadphoneMic(a)),this._ui.syncDeviceDropdown(e),this._ui.updateStatus(`Switched to: ${a}`,"success"),!0}async select(e,t=null){return e?t?this._acquireAndRestart(e,t):(this.selectedDeviceId=e,!0):!1}initChangeListener(e,t){if(!this._initialized){this._onDeviceChange=async()=>{t()&&await e()};try{navigator.mediaDevices.addEventListener("devicechange",this._onDeviceChange)}catch(s){console.warn("Could not attach devicechange listener:",s),this._onDeviceChange=null}this._initialized=!0}}destroy(){try{this._onDeviceChange&&navigator.mediaDevices.removeEventListener("devicechange",this._onDeviceChange)}catch{}this._initialized=!1,this._onDeviceChange=null,this.availableDevices=[],this.selectedDeviceId=null,this.micAccessGranted=!1}_recordTrackMeta(e){if(!e)return;const t=e.getSettings?.()??{};this._sampleRate=t.sampleRate??null,t.deviceId&&(this.selectedDeviceId=t.deviceId);const s=e.label||"";this._currentLabel=s||"Default microphone";const a=this._isHeadphoneMic(s);this._ui.updateDeviceUI(this._currentLabel,a),console.log("Selected microphone settings:",t)}static HEADPHONE_TERMS=["headphone","headset","earphone","kopfhörer","kopfhorer","écouteur","ecouteur","casque","auricular","auriculares","auricolare","cuffie","hoofdtelefoon"];_autoSelectHeadphone(){const e=this.availableDevices.find(t=>{const s=(t.label||"").toLowerCase();return s.includes("bluetooth")||s.includes("airpod")?!1:Fe.HEADPHONE_TERMS.some(a=>s.includes(a))});e&&this.selectedDeviceId!==e.deviceId&&(this.selectedDeviceId=e.deviceId,console.log("Auto-selected headphone mic:",e.label),this._ui.updateDeviceUI(e.label,!0))}_reflectSelectedDeviceInUI(){if(this.selectedDeviceId){const t=this.availableDevices.find(s=>s.deviceId===this.selectedDeviceId);if(t){this._ui.updateDeviceUI(t.label,this._isHeadphoneMic(t.label)),this._ui.syncDeviceDropdown(t.deviceId);return}}const e=this.availableDevices.find(t=>t.deviceId==="default"||t.deviceId==="")??this.availableDevices[0];e?(this._ui.updateDeviceUI(e.label,this._isHeadphoneMic(e.label)),this._ui.syncDeviceDropdown(e.deviceId)):this._ui.updateDeviceUI("Default microphone",!1)}_isHeadphoneMic(e){if(!e)return!1;const t=e.toLowerCase();return t.includes("bluetooth")||t.includes("airpod")?!1:Fe.HEADPHONE_TERMS.some(s=>t.includes(s))}}class fs{classifyMicError(e){const t=e,s=t?.name??"",a=(t?.message??"").toLowerCase();return s==="NotAllowedError"&&a.includes("system")?{tag:"permission_denied_system",message:"Your operating system is blocking microphone access. Please check your system privacy settings (macOS: System Settings → Privacy & Security → Microphone; Windows: Settings → Privacy → Microphone) and allow access, then try again."}:s==="NotAllowedError"&&a.includes("avaudiosession")?{tag:"permission_denied_ios_no_device",message:"No microphone was found on your device. Please plug in a headset or enable microphone access in Settings → Safari → Microphone, then try again."}:s==="NotAllowedError"&&a.includes("dismiss")?{tag:"permission_dismissed",message:'Microphone access was dismissed. Please tap "Start DAF" again and click "Allow" when prompted.'}:s==="NotAllowedError"||s==="PermissionDeniedError"||a.includes("not allowed")||a.includes("denied")?{tag:"permission_denied_user",message:`Microphone access was denied. Please click the 🔒 / 🎙️ icon in your browser's address bar, set Microphone to "Allow", refresh the page, and try again.`}:s==="NotFoundError"||a.includes("not found")||a.includes("device")?{tag:"device_not_found",message:"The selected microphone could not be found. It may have been unplugged. Please check your microphone connection and try again."}:{tag:"unknown",message:"Could not access your microphone. Please make sure a microphone is connected and this page has permission to use it, then try again."}}}class gs{_intervalId=null;_startTime=0;elapsedMs=0;start(){const e=document.getElementById("dafTimer");e&&(this._startTime=performance.now(),this.elapsedMs=0,e.textContent="00:00",e.classList.add("timer-running"),this._tick(e))}resume(){const e=document.getElementById("dafTimer");!e||this._intervalId||(this._startTime=performance.now()-this.elapsedMs,e.classList.add("timer-running"),this._tick(e))}pause(){this._intervalId&&(clearInterval(this._intervalId),this._intervalId=null)}stop(){this.pause(),this.elapsedMs=0;const e=document.getElementById("dafTimer");e&&(e.textContent="00:00",e.classList.remove("timer-running"))}_tick(e){this._intervalId=setInterval(()=>{this.elapsedMs=performance.now()-this._startTime;const t=Math.floor(this.elapsedMs/1e3),s=String(Math.floor(t/60)).padStart(2,"0"),a=String(t%60).padStart(2,"0");e.textContent=`${s}:${a}`},1e3)}}const ys={taper:{name:"Taper 200 → 50 ms (10 min)",steps:[{duration:120,delay:200},{duration:120,delay:150,ramp:20},{duration:120,delay:100,ramp:20},{duration:120,delay:75,ramp:20},{duration:120,delay:50,ramp:20}]},fade:{name:"Fade out DAF + FAF (8 min)",steps:[{duration:120,delay:150,pitch:-3},{duration:120,delay:100,pitch:-2,ramp:30},{duration:120,delay:50,pitch:-1,ramp:30},{duration:120,delay:0,pitch:0,ramp:30}]},warmup:{name:"Warm-up 50 → 150 ms (6 min)",steps:[{duration:120,delay:50},{duration:120,delay:100,ramp:15},{duration:120,delay:150,ramp:15}]}};function ue(n,e,t,s,a,o){if(n[e]===void 0||n[e]===null){if(o!==void 0)return o;throw new Error(`Step ${a}: "${e}" is required`)}const r=Number(n[e]);if(!Number.isFinite(r)||r<t||r>s)throw new Error(`Step ${a}: "${e}" must be between ${t} and ${s}`);return r}function _s(n){const e=typeof n=="string"?JSON.parse(n):n,t=Array.isArray(e)?e:e?.steps;if(!Array.isArray(t)||t.length===0)throw new Error('Protocol needs a non-empty "steps" array');if(t.length>50)throw new Error("Protocol can have at most 50 steps");return{name:String(e?.name??"Custom protocol").slice(0,80),steps:t.map((s,a)=>{if(!s||typeof s!="object")throw new Error(`Step ${a+1}: not an object`);const o=ue(s,"duration",1,3600,a+1);return{duration:o,delay:ue(s,"delay",0,500,a+1),pitch:ue(s,"pitch",-8,8,a+1,null),gain:ue(s,"gain",1,20,a+1,null),ramp:ue(s,"ramp",0,o,a+1,a===0?0:Math.min(5,o))}})}}class ws{_protocol=null;_stepIndex=-1;_stepElapsedMs=0;_anchor=0;_intervalId=null;_paused=!1;_apply;_onUpdate;constructor(e,t){this._apply=e,this._onUpdate=t}get isActive(){return!!this._protocol}get status(){const e=this._protocol;if(!e)return null;const t=e.steps[this._stepIndex],s=this._elapsedMs(),a=e.steps.slice(this._stepIndex+1).reduce((o,r)=>o+r.duration*1e3,0);return{name:e.name,index:this._stepIndex,count:e.steps.length,step:t,stepRemainingMs:Math.max(0,t.duration*1e3-s),totalRemainingMs:Math.max(0,t.duration*1e3-s)+a,paused:this._paused}}start(e){this.stop(),this._protocol=e,this._paused=!1,this._enterStep(0),this._run()}stop(){clearInterval(this._intervalId),this._intervalId=null,this._protocol=null,this._stepIndex=-1,this._onUpdate(null)}pause(){!this._protocol||this._paused||(this._stepElapsedMs=this._elapsedMs(),clearInterval(this._intervalId),this._intervalId=null,this._paused=!0,this._apply(null,0),this._onUpdate(this.status))}resume(){if(!this._protocol||!this._paused)return;this._paused=!1;const e=this._protocol.steps[this._stepIndex];this._apply(e,Math.max(0,e.ramp-this._stepElapsedMs/1e3)),this._run()}_elapsedMs(){return this._paused?this._stepElapsedMs:this._stepElapsedMs+(performance.now()-this._anchor)}_enterStep(e){this._stepIndex=e,this._stepElapsedMs=0,this._anchor=performance.now();const t=this._protocol.steps[e];this._apply(t,t.ramp)}_run(){this._anchor=performance.now(),clearInterval(this._intervalId),this._intervalId=setInterval(()=>this._tick(),250),this._tick()}_tick(){const e=this._protocol;if(!(!e||this._paused)){if(this._elapsedMs()>=e.steps[this._stepIndex].duration*1e3){if(this._stepIndex+1>=e.steps.length){clearInterval(this._intervalId),this._intervalId=null,this._protocol=null,this._stepIndex=-1,this._onUpdate({name:e.name,done:!0});return}this._enterStep(this._stepIndex+1)}this._onUpdate(this.status)}}}const vs={success:"status-success",error:"status-error",loading:"status-loading",warning:"status-warning",info:"status-info"};class L{updateStatus(e,t="info"){const s=document.getElementById("statusMessage");s&&(s.textContent=e,s.classList.remove("status-success","status-error","status-warning","status-info","status-default","status-loading"),s.classList.add(vs[t]??"status-default"))}updateDisplay(e,t){const s=document.getElementById(e);s&&(s.textContent=t)}updateControls(e){const t=document.getElementById("dafButton");t&&(t.textContent=e?"Stop DAF":"Start DAF",t.setAttribute("aria-pressed",String(e)))}updateProtocolStatus(e){const t=document.getElementById("protocolStatus");if(t&&(t.hidden=!e,t.textContent=e?e.done?`${e.name} — complete`:`Step ${e.index+1}/${e.count} · ${e.step.delay} ms${e.paused?" · paused":""} · ${me(e.stepRemainingMs)} left`:""),this._announceProtocol(e),document.dispatchEvent(new CustomEvent("daf:protocol",{detail:e})),e?.done){const s=document.getElementById("protocolStartBtn");s&&(s.textContent="Start Protocol")}}_announceProtocol(e){const t=document.getElementById("protocolAnnounce"),s=e?e.done?`${e.name} complete`:`Step ${e.index+1} of ${e.count}: ${e.step.delay} milliseconds`:"";t&&t.textContent!==s&&(t.textContent=s)}updateSpeechStats(e){const t=(s,a)=>{const o=document.querySelector(`[data-speech="${s}"]`);o&&(o.textContent=a)};t("speaking",`${me(e.speakingMs)} (${e.speakingPct}%)`),t("pauses",e.pauseCount?`${e.pauseCount} · avg ${(e.avgPauseMs/1e3).toFixed(1)} s`:"0"),t("longestPause",`${(e.longestPauseMs/1e3).toFixed(1)} s`),t("rate",`${e.syllablesPerSec} syllables/s`),t("pitch",e.f0MeanHz?`${e.f0MeanHz} Hz (${e.f0MinHz}–${e.f0MaxHz} Hz)`:"—")}updateRecordButton(e){const t=document.getElementById("recordBtn");t&&(t.textContent=e?"Stop Recording":"Record",t.setAttribute("aria-pressed",String(e)),t.classList.toggle("benchmark-btn--recording",e))}updateDeviceUI(e,t){const s=document.getElementById("deviceIcon");s&&(s.textContent=t?"🎧":"🎙️")}populateDeviceDropdown(e,t){const s=document.getElementById("deviceSelect");if(s){if(s.innerHTML="",e.length===0){const a=document.createElement("option");a.value="",a.textContent="No microphones found",s.appendChild(a),s.disabled=!0;return}s.disabled=!1,e.forEach((a,o)=>{const r=document.createElement("option");r.value=a.deviceId,r.textContent=a.label||`Microphone ${o+1}`,a.deviceId===t&&(r.selected=!0),s.appendChild(r)}),!s.value&&e.length>0&&(s.options[0].selected=!0)}}setDeviceDropdownPending(){const e=document.getElementById("deviceSelect");if(!e)return;e.innerHTML="";const t=document.createElement("option");t.value="",t.textContent="Start DAF to see available microphones",e.appendChild(t),e.disabled=!0}syncDeviceDropdown(e){if(!e)return;const t=document.getElementById("deviceSelect");t&&(t.value=e,!t.value&&t.options.length>0&&(t.options[0].selected=!0))}}class Ss{_config={delayTime:200,gain:1,pitchShift:0,multiFAFSemitones:[],pitchFloor:120,fafMode:ve,maf:{...W},routing:{...D}};get config(){return this._config}_ui;_reporter;_devices;_timer;_graph=null;_stream=null;_resumeAttempts=0;_maxResumeAttempts=5;_sessionStartedAt=null;_checkpointTimer=null;_restarting=Promise.resolve();_lastBenchmark=null;_loopback=null;_compensateLatency=!1;_speechBase=null;_speechStats=null;_protocol;_isAppVisible=document.visibilityState==="visible";_onVisibilityChange;_onFreeze;_onResume;_onDocClick;constructor(){this._ui=new L,this._reporter=new fs,this._devices=new Fe(this._ui,this._reporter),this._timer=new gs,this._protocol=new ws((e,t)=>this._applyProtocolStep(e,t),e=>this._ui.updateProtocolStatus(e)),this._onVisibilityChange=this._handleVisibilityChange.bind(this),this._onFreeze=this._handleFreeze.bind(this),this._onResume=this._handleResume.bind(this),this._onDocClick=this._handleDocClick.bind(this),document.addEventListener("visibilitychange",this._onVisibilityChange),"onfreeze"in document&&document.addEventListener("freeze",this._onFreeze),"onresume"in document&&document.addEventListener("resume",this._onResume),document.addEventListener("click",this._onDocClick),this._ui.updateDeviceUI('Click "Start DAF" to select your microphone',!1)}get isRunning(){return!!this._graph&&this._graph.state==="running"}get measuredFloorMs(){return this._graph?.measuredFloorMs??null}get fafLatencyMs(){return this._graph?.fafLatencyMs??0}get isRecording(){return this._graph?.isRecording??!1}get protocolActive(){return this._protocol.isActive}get selectedDeviceId(){return this._devices.selectedDeviceId}get loopbackMs(){return this._loopback?.roundTripMs??null}async start(e=null){this._ui.updateStatus("Starting audio connection…","loading");try{const{stream:t,sampleRate:s}=await this._devices.acquireStream(e);this._stream=t,this._graph=new _t(s),this._graph.pitchFloor=this._config.pitchFloor,this._graph.fafMode=this._config.fafMode,this._graph.onStateChange(a=>this._onGraphStateChange(a)),this._graph.connect(t,this.config),this._graph.startAnalysis(a=>this._onSpeechStats(a)).catch(a=>console.warn("Speech analysis unavailable:",a)),this._graph.state==="running"&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay(),this._protocol.resume(),setTimeout(()=>{this.isRunning&&this._graph&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay())},200)),this._ui.updateControls(!0),this._ui.updateStatus("Auditory Feedback Active","success"),this._timer.elapsedMs>0?this._timer.resume():(this._timer.start(),this._sessionStartedAt=Date.now(),this._checkpointTimer=setInterval(()=>this.checkpointSession(),us)),await this._devices.enumerate(),this._devices.initChangeListener(()=>this._devices.enumerate(),()=>this.isRunning)}catch(t){throw this._handleStartError(t),t}}async stop({preserveTimer:e=!1}={}){try{await this.stopRecording()}catch(s){console.warn("Saving recording failed:",s)}const t=this._speechStats?Ge(this._speechStats):null;if(this._speechBase=e?this._speechStats:null,e||(this._speechStats=null),e?this._protocol.pause():this._protocol.stop(),!e){const s=this._timer.elapsedMs;this._logSession(s,t).catch(a=>console.warn("Saving practice session failed:",a))}e?this._timer.pause():this._timer.stop(),this._devices.releaseStream(this._stream),this._stream=null,await this._graph?.close(),this._graph=null,this._resumeAttempts=0,this._ui.updateStatus(!e&&t?.speakingMs>0?`Auditory Feedback Stopped — ${t.syllablesPerSec} syllables/s, ${t.pauseCount} pause${t.pauseCount===1?"":"s"}`:"Auditory Feedback Stopped","info"),this._ui.updateControls(!1),this._ui.updateDeviceUI('Click "Start DAF" to select your microphone',!1)}restartWithNewDevice(e=null){const t=this._restarting.catch(()=>{}).then(()=>this._restart(e));return this._restarting=t,t}async _restart(e){if(!this._graph)return!1;const t={...this.config,multiFAFSemitones:[...this._config.multiFAFSemitones],maf:{...this._config.maf},routing:{...this._config.routing}};return e!==null&&this._loopback&&this.setLoopback(null),await this.stop({preserveTimer:!0}),await new Promise(s=>setTimeout(s,300)),this._config=t,await this.start(e),!0}updateDelayTime(e){this._config.delayTime=e,this._graph?.setDelayTime(e),this._refreshDelayDisplay()}updateGain(e){this._config.gain=e,this._graph?.setGain(e),this._ui.updateDisplay("inputGainValue",`${e}x`)}updateInputGain(e){this.updateGain(e)}updatePitchShift(e){this._config.pitchShift=e,this._refreshDelayDisplay(),this._graph?.setFAFSemitones(e).then(()=>this._refreshDelayDisplay()).catch(t=>console.warn("FAF update failed:",t))}updateMultiFAFNodes(e){this._config.multiFAFSemitones=e,this._refreshDelayDisplay(),this._graph?.setFAFNodes(e).then(()=>this._refreshDelayDisplay()).catch(t=>console.warn("Multi-FAF update failed:",t))}updateRouting(e){this._config.routing={...this._config.routing,...e},this._graph?.setRouting(this._config.routing),this._refreshDelayDisplay()}updateMAF(e){this._config.maf={...this._config.maf,...e},this._graph?.setMAF(this._config.maf).catch(t=>console.warn("MAF update failed:",t))}setPreferredDevice(e){this._devices.selectedDeviceId=e}updateVoiceProfile(e){if(this._config.pitchFloor=e,this._graph){this._graph.pitchFloor=e;const t=this._config.multiFAFSemitones.length?this._config.multiFAFSemitones:this._config.pitchShift!==0?[this._config.pitchShift]:[];t.length>0&&this._graph.setFAFNodes([]).then(()=>this._graph?.setFAFNodes(t)).then(()=>this._refreshDelayDisplay()).catch(s=>console.warn("Voice profile FAF rebuild failed:",s)),this._refreshDelayDisplay()}}updateFAFMode(e){if(this._config.fafMode=e,this._graph){this._graph.fafMode=e;const t=this._config.multiFAFSemitones.length?this._config.multiFAFSemitones:this._config.pitchShift!==0?[this._config.pitchShift]:[];t.length>0&&this._graph.setFAFNodes([]).then(()=>this._graph?.setFAFNodes(t)).then(()=>this._refreshDelayDisplay()).catch(s=>console.warn("FAF mode switch failed:",s)),this._refreshDelayDisplay()}}seedAudioConstraints(e,t){this._devices.echoCancellation=e,this._devices.noiseSuppression=t}async updateAudioConstraints(e,t){this._devices.echoCancellation=e,this._devices.noiseSuppression=t,this.isRunning&&await this.restartWithNewDevice(null)}async selectAudioDevice(e){await this._devices.selectById(e,this.isRunning,t=>this.restartWithNewDevice(t))}startProtocol(e){if(!this._graph||!this.isRunning)throw new Error("DAF is not running");if(this._config.multiFAFSemitones.length>0&&e.steps.some(t=>t.pitch!==null))throw new Error("pitch steps need single-voice FAF — turn off Multi first");this._protocol.start(e)}stopProtocol(){this._protocol.stop(),this._graph?.holdParams()}async startRecording(){if(!this._graph||!this.isRunning)throw new Error("DAF is not running");this._graph.onRecordingLimit=()=>{this.stopRecording().then(()=>this._ui.updateStatus(`Recording stopped at the ${pt/6e4}-minute limit`,"warning")).catch(e=>console.warn("Failed to save take:",e))},await this._graph.startRecording(),this._ui.updateRecordButton(!0)}async stopRecording(){if(!this.isRecording)return null;const e=await this._graph.stopRecording();if(this._ui.updateRecordButton(!1),!e||e.durationMs===0)return null;const t={createdAt:e.startedAt,durationMs:e.durationMs,sampleRate:e.sampleRate,delayTime:this._config.delayTime,dry:e.dry,wet:e.wet};return t.id=await Ve.add(t),document.dispatchEvent(new CustomEvent("daf:takes-changed")),t}async runBenchmark(){if(!this._graph)throw new Error("DAF is not running");const e=await this._graph.benchmark(this._stream);return e.loopbackMs=this.loopbackMs,this._lastBenchmark=e,e}async measureLoopback(){if(!this._graph||!this.isRunning)throw new Error("DAF is not running");if(this.isRecording)throw new Error("Stop recording before measuring latency");const e=await this._graph.measureLoopback();return this.setLoopback(e),e}setLoopback(e){this._loopback=e,this._refreshDelayDisplay(),document.dispatchEvent(new CustomEvent("daf:loopback-changed",{detail:e}))}setLatencyCompensation(e){this._compensateLatency=e,this._refreshDelayDisplay()}async destroy(){await this.stop(),this._devices.destroy(),document.removeEventListener("visibilitychange",this._onVisibilityChange),document.removeEventListener("freeze",this._onFreeze),document.removeEventListener("resume",this._onResume),document.removeEventListener("click",this._onDocClick),console.log("SpeechProcessor destroyed")}async attemptResumeAudio(){if(!(!this._graph||this._graph.state!=="suspended")&&!(this._resumeAttempts>=this._maxResumeAttempts)){this._resumeAttempts++;try{await this._graph.resume(),this._resumeAttempts=0}catch{if(this._resumeAttempts>1,this._resumeAttempts<this._maxResumeAttempts){const e=Math.pow(2,this._resumeAttempts)*100;setTimeout(()=>this.attemptResumeAudio(),e)}else this._ui.updateStatus("Audio paused — tap to resume","error")}}}_onGraphStateChange(e){this._notifyServiceWorker("AUDIO_STATE",{state:e}),e==="running"&&this._graph&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay(),this._protocol.resume()),e==="suspended"&&this._protocol.pause(),e==="suspended"&&this._isAppVisible&&this._graph&&this.attemptResumeAudio()}_handleVisibilityChange(){this._isAppVisible=document.visibilityState==="visible",this._isAppVisible||this.checkpointSession(),this._notifyServiceWorker("VISIBILITY_CHANGE",{isVisible:this._isAppVisible}),this._isAppVisible&&(this._graph?.state==="suspended"?this.attemptResumeAudio():this.isRunning&&this._protocol.resume())}_handleFreeze(){this._protocol.pause()}_handleResume(){this._graph?.state==="suspended"?this.attemptResumeAudio():this.isRunning&&this._protocol.resume()}_handleDocClick(){this._graph?.state==="suspended"&&this.attemptResumeAudio()}_notifyServiceWorker(e,t){"serviceWorker"in navigator&&navigator.serviceWorker.controller&&navigator.serviceWorker.controller.postMessage({type:e,...t})}_refreshDelayDisplay(){const e=this._config.delayTime,t=this.loopbackMs??this.measuredFloorMs??0,s=this._config.routing?.mode==="split"?0:this.fafLatencyMs,a=t+s,o=this._compensateLatency&&this.loopbackMs!==null;if(this._graph){const c=o?a:0;this._graph.delayOffsetMs!==c&&(this._graph.delayOffsetMs=c,this._graph.setDelayTime(e))}const r=o?e>=a?`${e} ms (at the ear)`:`${e} ms (~${Math.round(a)} ms minimum)`:a>5?`${e} ms (~${Math.round(e+a)} ms effective)`:`${e} ms`;this._ui.updateDisplay("delayValue",r)}_applyProtocolStep(e,t){if(!e){this._graph?.holdParams();return}const s=this._config;s.delayTime=e.delay,this._graph?.rampDelayTime(e.delay,t),e.gain!==null&&(s.gain=e.gain,this._graph?.rampGain(e.gain,t)),e.pitch!==null&&s.multiFAFSemitones.length===0&&(s.pitchShift=e.pitch,this._graph?.rampFAFSemitones(e.pitch,t).then(()=>this._refreshDelayDisplay()).catch(a=>console.warn("Protocol FAF update failed:",a))),this._refreshDelayDisplay()}_onSpeechStats(e){this._speechStats=ds(this._speechBase,e),this._ui.updateSpeechStats(Ge(this._speechStats))}checkpointSession(){const e=this._sessionStartedAt;if(!e)return;const t=this._timer.elapsedMs;try{t<1e3?localStorage.removeItem(de+e):localStorage.setItem(de+e,JSON.stringify(this._sessionRecord(t,this._speechStats?Ge(this._speechStats):null)))}catch(s){console.warn("Could not checkpoint practice session:",s)}}_sessionRecord(e,t){const s=this._config,a=this._lastBenchmark;return{startedAt:this._sessionStartedAt,endedAt:Date.now(),durationMs:Math.round(e),delayTime:s.delayTime,gain:s.gain,pitchShift:s.pitchShift,multiFAFSemitones:[...s.multiFAFSemitones],fafMode:s.fafMode,pitchFloor:s.pitchFloor,maf:s.maf.type==="off"?null:{type:s.maf.type,levelDb:s.maf.levelDb,gated:s.maf.gated},deviceLabel:this._devices.currentLabel,speech:t,benchmark:a?{totalFloorMs:a.totalFloorMs,jitterStddevMs:a.jitter.stddevMs}:null}}async _logSession(e,t=null){const s=this._sessionStartedAt;if(!s)return;clearInterval(this._checkpointTimer);const a=e<1e3?null:this._sessionRecord(e,t);if(this._checkpointTimer=null,this._sessionStartedAt=null,this._lastBenchmark=null,!a){localStorage.removeItem(de+s);return}await le.add(a),localStorage.removeItem(de+s),document.dispatchEvent(new CustomEvent("daf:history-changed"))}_handleStartError(e){this._timer.stop();const t=this._reporter.classifyMicError(e);this._ui.updateStatus(t.message,"error")}}"serviceWorker"in navigator&&window.addEventListener("load",()=>{navigator.serviceWorker.register(`${ot.base}service-worker.js`).then(n=>console.log("Service Worker registered:",n.scope)).catch(n=>console.warn("Service Worker registration failed:",n))});let se=null;async function St(){try{"wakeLock"in navigator&&(se=await navigator.wakeLock.request("screen"),se.addEventListener("release",()=>{se=null}))}catch(n){console.error("Wake Lock request failed:",n.message)}}function Mt(){se?.release().then(()=>{se=null}).catch(console.error)}let q=null,P=!1,B=!1,z=120,he=ve,F="semitones",K=800;function ne(n,e){if(n===0)return"Off";const t=Math.abs(n),s=n>0?"+":"-";return e==="semitones"?`${s}${t} ${t===1?"semitone":"semitones"}`:`${s}${t} ${t===1?"cent":"cents"}`}function ae(n,e){return e==="cents"?n/100:n}let T=!1,be=2;const M={...W},A={...D},$={result:null,compensate:!1},pe=[6,-6,0,-5];function ie(){return pe.slice(0,be)}const bt={delayTime:200,gain:1,fafType:"single",pitchUnit:"semitones",centsRange:800,pitchShift:0,multiFAFSemitones:[6,-6],fafMode:ve,pitchFloor:Pe[ct].pitchFloor,echoCancellation:!1,noiseSuppression:!1,mafType:W.type,mafLevelDb:W.levelDb,mafGated:W.gated,mafAttackMs:W.attackMs,mafReleaseMs:W.releaseMs,latencyCompensation:!1,routeMode:D.mode,routeFafEar:D.fafEar,routeDry:D.dry,routeDryLevel:D.dryLevel,routeLeftGain:D.leftGain,routeRightGain:D.rightGain,routeLeftDelayMs:D.leftDelayMs,routeRightDelayMs:D.rightDelayMs,routeBalance:D.balance,deviceId:null},Ae="daf-profiles",At="daf-last-settings";function E(n,e,t,s){const a=Number(n);return n===null||n===""||!Number.isInteger(a)||a<e||a>t?s:a}function J(n,e,t){return e.includes(n)?n:t}function De(n,e){return n===!0||n==="1"||n==="true"?!0:n===!1||n==="0"||n==="false"?!1:e}function Ue(n){if(!n||typeof n!="object"||Array.isArray(n))return!1;const e=Object.getPrototypeOf(n);return e===Object.prototype||e===null}function Ms(n){return Ue(n)&&Object.keys(n).some(e=>Object.hasOwn(bt,e))}function Y(n){const e=bt,t=n&&typeof n=="object"?n:{},s=J(t.pitchUnit,["semitones","cents"],e.pitchUnit),a=E(t.centsRange,300,800,e.centsRange)<=300?300:800,o=s==="cents"?a:8,r=Array.isArray(t.multiFAFSemitones)?t.multiFAFSemitones:[],c=r.length>=2&&r.length<=4?r.map((h,p)=>E(h,-8,8,pe[p])):[...e.multiFAFSemitones];return{delayTime:E(t.delayTime,0,500,e.delayTime),gain:E(t.gain,1,20,e.gain),fafType:J(t.fafType,["off","single","multi"],e.fafType),pitchUnit:s,centsRange:a,pitchShift:E(t.pitchShift,-o,o,e.pitchShift),multiFAFSemitones:c,fafMode:J(t.fafMode,["psola","ola","formant"],e.fafMode),pitchFloor:J(Number(t.pitchFloor),Object.values(Pe).map(h=>h.pitchFloor),e.pitchFloor),echoCancellation:De(t.echoCancellation,e.echoCancellation),noiseSuppression:De(t.noiseSuppression,e.noiseSuppression),mafType:J(t.mafType,["off","white","pink","speech"],e.mafType),mafLevelDb:E(t.mafLevelDb,-40,0,e.mafLevelDb),mafGated:De(t.mafGated,e.mafGated),mafAttackMs:E(t.mafAttackMs,1,200,e.mafAttackMs),mafReleaseMs:E(t.mafReleaseMs,20,1e3,e.mafReleaseMs),latencyCompensation:De(t.latencyCompensation,e.latencyCompensation),routeMode:J(t.routeMode,["both","split"],e.routeMode),routeFafEar:J(t.routeFafEar,["left","right"],e.routeFafEar),routeDry:J(t.routeDry,["off","left","right"],e.routeDry),routeDryLevel:E(t.routeDryLevel,0,100,e.routeDryLevel),routeLeftGain:E(t.routeLeftGain,0,200,e.routeLeftGain),routeRightGain:E(t.routeRightGain,0,200,e.routeRightGain),routeLeftDelayMs:E(t.routeLeftDelayMs,0,200,e.routeLeftDelayMs),routeRightDelayMs:E(t.routeRightDelayMs,0,200,e.routeRightDelayMs),routeBalance:E(t.routeBalance,-100,100,e.routeBalance),deviceId:typeof t.deviceId=="string"&&t.deviceId.length>0?t.deviceId:null}}function je(n){return{delayTime:n.delayTime,gain:n.gain,pitchShift:n.fafType==="single"?ae(n.pitchShift,n.pitchUnit):0,multiFAFSemitones:n.fafType==="multi"?[...n.multiFAFSemitones]:[],pitchFloor:n.pitchFloor,fafMode:n.fafMode,maf:{type:n.mafType,levelDb:n.mafLevelDb,gated:n.mafGated,attackMs:n.mafAttackMs,releaseMs:n.mafReleaseMs},routing:{mode:n.routeMode,fafEar:n.routeFafEar,dry:n.routeDry,dryLevel:n.routeDryLevel,leftGain:n.routeLeftGain,rightGain:n.routeRightGain,leftDelayMs:n.routeLeftDelayMs,rightDelayMs:n.routeRightDelayMs,balance:n.routeBalance}}}window.renderDAFOffline=async function(n,e={}){const t=n instanceof AudioBuffer?n:await wt(n);return vt(t,je(Y(e)))};const Dt={delay:"delayTime",gain:"gain",faf:"fafType",unit:"pitchUnit",range:"centsRange",pitch:"pitchShift",signals:"multiFAFSemitones",algo:"fafMode",voice:"pitchFloor",echo:"echoCancellation",noise:"noiseSuppression",maf:"mafType",mafLevel:"mafLevelDb",mafGate:"mafGated",mafAttack:"mafAttackMs",mafRelease:"mafReleaseMs",route:"routeMode",fafEar:"routeFafEar",dry:"routeDry",dryLevel:"routeDryLevel",gainL:"routeLeftGain",gainR:"routeRightGain",delayL:"routeLeftDelayMs",delayR:"routeRightDelayMs",balance:"routeBalance"};function bs(n){const e=new URLSearchParams;for(const[t,s]of Object.entries(Dt)){const a=n[s];e.set(t,Array.isArray(a)?a.join(","):typeof a=="boolean"?a?"1":"0":String(a))}return e.toString()}function As(n){const e=new URLSearchParams(n),t={};let s=!1;for(const[a,o]of Object.entries(Dt)){const r=e.get(a);r!==null&&(s=!0,t[o]=o==="multiFAFSemitones"?r.split(","):r)}return s?Y(t):null}class Ds{list(){const e=this._read(Ae);return Object.assign(Object.create(null),e&&typeof e=="object"&&!Array.isArray(e)?e:{})}save(e,t){const s=this.list();s[e]=Y(t),this._write(Ae,s)}delete(e){const t=this.list();delete t[e],this._write(Ae,t)}get(e){const t=this.list()[e];return t?Y(t):null}get lastUsed(){const e=this._read(At);return e?Y(e):null}set lastUsed(e){this._write(At,Y(e))}exportJSON(){return JSON.stringify({app:"daf-online",version:1,profiles:this.list()},null,2)}importJSON(e,t="Imported profile"){const s=JSON.parse(e);if(!Ue(s))throw new Error("File is not a DAF settings profile");if("profiles"in s&&!Ue(s.profiles))throw new Error("Profile list in file is malformed");const a="profiles"in s?s.profiles:{[t]:s},o=this.list(),r=[];for(const[c,h]of Object.entries(a)){const p=String(c).trim().slice(0,60);p&&Ms(h)&&(o[p]=Y(h),r.push(p))}if(r.length===0)throw new Error("No profiles found in file");return this._write(Ae,o),r}_read(e){try{const t=localStorage.getItem(e);return t?JSON.parse(t):null}catch{return null}}_write(e,t){try{localStorage.setItem(e,JSON.stringify(t))}catch(s){console.warn("Could not save settings:",s)}}}const H=new Ds;document.addEventListener("visibilitychange",()=>{document.visibilityState==="visible"&&window.speechProcessor&&(window.speechProcessor.attemptResumeAudio(),se||St())}),window.addEventListener("pagehide",()=>{window.speechProcessor?.checkpointSession()}),window.addEventListener("beforeunload",()=>{window.speechProcessor?.stop(),Mt()}),window.toggleDAF=async function(){if(window.speechProcessor?.isRunning)await window.speechProcessor?.stop(),window.speechProcessor=void 0,Mt();else{window.speechProcessor=new Ss;const n=document.getElementById("delaySlider"),e=document.getElementById("inputGainSlider"),t=document.getElementById("pitchShiftSlider");window.speechProcessor.updateDelayTime(Number(n?.value??200)),window.speechProcessor.updateGain(Number(e?.value??1)),T?(window.speechProcessor.updateMultiFAFNodes(ie()),window.speechProcessor.updatePitchShift(0)):(window.speechProcessor.updateMultiFAFNodes([]),window.speechProcessor.updatePitchShift(ae(Number(t?.value??0),F))),q&&(window.speechProcessor.setPreferredDevice(q),q=null),window.speechProcessor.seedAudioConstraints(P,B),window.speechProcessor.updateVoiceProfile(z),window.speechProcessor.updateFAFMode(he),window.speechProcessor.updateMAF(M),window.speechProcessor.updateRouting(A),window.speechProcessor.setLatencyCompensation($.compensate),$.result&&window.speechProcessor.setLoopback($.result),St();try{await window.speechProcessor.start()}catch{}}},document.addEventListener("DOMContentLoaded",()=>{const n=document.getElementById("statusMessage"),e=document.getElementById("delaySlider"),t=document.getElementById("inputGainSlider"),s=document.getElementById("pitchShiftSlider");if(n?.classList.add("status-default"),e){const i=document.getElementById("delayValue");i&&(i.textContent=`${e.value} ms`)}if(t){const i=document.getElementById("inputGainValue");i&&(i.textContent=`${t.value}x`)}if(s){const i=document.getElementById("pitchShiftValue");i&&(i.textContent=ne(Number(s.value),F))}e?.addEventListener("input",i=>{const l=Number(i.target.value),u=i.target;u.setAttribute("aria-valuenow",String(l)),u.setAttribute("aria-valuetext",`${l} milliseconds`);const d=document.getElementById("delayValue");d&&(d.textContent=`${l} ms`),window.speechProcessor?.updateDelayTime(l)}),t?.addEventListener("input",i=>{const l=Number(i.target.value);i.target.setAttribute("aria-valuenow",String(l)),i.target.setAttribute("aria-valuetext",`${l}x`);const u=document.getElementById("inputGainValue");u&&(u.textContent=`${l}x`),window.speechProcessor?.updateGain(l)}),s?.addEventListener("input",i=>{const l=Number(i.target.value),u=ne(l,F),d=ae(l,F),y=document.getElementById("pitchShiftValue");y&&(y.textContent=u),i.target.setAttribute("aria-valuenow",String(l)),i.target.setAttribute("aria-valuetext",u),window.speechProcessor?.updatePitchShift(d)});function a(i,l){document.querySelectorAll(`.mode-btn[data-group="${i}"]`).forEach(u=>{const d=u.dataset.value===l;u.classList.toggle("mode-btn--active",d),u.setAttribute("aria-pressed",String(d))})}a("faf-type","single"),document.querySelectorAll(".mode-btn[data-group]").forEach(i=>{i.addEventListener("click",()=>{const l=i.dataset.group,u=i.dataset.value;switch(l){case"faf-type":{const d=document.getElementById("singleFAFSection"),y=d&&!d.hidden;if(u===(T?"multi":y?"single":"off"))return;a("faf-type",u);const _=document.getElementById("multiFAFSection"),S=document.getElementById("pitchUnitSection"),U=document.getElementById("offFAFSection");if(u==="off"){if(T=!1,U&&(U.hidden=!1),d&&(d.hidden=!0),_&&(_.hidden=!0),S&&(S.hidden=!0),s){const j=document.getElementById("pitchShiftValue");j&&(j.textContent="Off"),s.setAttribute("aria-valuetext","Off")}window.speechProcessor?.updateMultiFAFNodes([]),window.speechProcessor?.updatePitchShift(0)}else if(u==="single"){T=!1,U&&(U.hidden=!0),d&&(d.hidden=!1),_&&(_.hidden=!0),S&&(S.hidden=!1),window.speechProcessor?.updateMultiFAFNodes([]);const j=Number(s?.value??0),I=ne(j,F);if(s){const _e=document.getElementById("pitchShiftValue");_e&&(_e.textContent=I),s.setAttribute("aria-valuenow",String(j)),s.setAttribute("aria-valuetext",I)}window.speechProcessor?.updatePitchShift(ae(j,F))}else T=!0,U&&(U.hidden=!0),d&&(d.hidden=!0),_&&(_.hidden=!1),S&&(S.hidden=!0),window.speechProcessor?.updateMultiFAFNodes(ie());break}case"faf-count":{const d=Number(u);if(!d||d===be)return;be=d,a("faf-count",u),Ye(),T&&window.speechProcessor?.updateMultiFAFNodes(ie());break}case"pitch-unit":{const d=u;if(d===F)return;const y=s?ae(Number(s.value),F):0;F=d,a("pitch-unit",u);const _=document.getElementById("centsRangeSelector");if(_&&(_.hidden=d==="semitones"),document.querySelectorAll('.mode-btn[data-group="cents-range"]').forEach(S=>{S.disabled=d==="semitones"}),s){if(d==="semitones"){const I=Math.round(Math.max(-8,Math.min(8,y)));s.min="-8",s.max="8",s.step="1",s.value=String(I),s.setAttribute("aria-valuemin","-8"),s.setAttribute("aria-valuemax","8")}else{const I=K,_e=Math.round(Math.max(-I,Math.min(I,y*100)));s.min=String(-I),s.max=String(I),s.step="1",s.value=String(_e),s.setAttribute("aria-valuemin",String(-I)),s.setAttribute("aria-valuemax",String(I))}const S=Number(s.value),U=ne(S,d),j=document.getElementById("pitchShiftValue");j&&(j.textContent=U),s.setAttribute("aria-valuenow",String(S)),s.setAttribute("aria-valuetext",U),window.speechProcessor?.updatePitchShift(ae(S,d))}break}case"cents-range":{const d=Number(u);if(!d||d===K||F!=="cents")return;if(K=d,a("cents-range",u),s){const y=Math.max(-d,Math.min(d,Number(s.value)));s.min=String(-d),s.max=String(d),s.value=String(y),s.setAttribute("aria-valuemin",String(-d)),s.setAttribute("aria-valuemax",String(d));const _=ne(y,"cents"),S=document.getElementById("pitchShiftValue");S&&(S.textContent=_),s.setAttribute("aria-valuenow",String(y)),s.setAttribute("aria-valuetext",_),window.speechProcessor?.updatePitchShift(y/100)}break}case"faf-mode":{const d=u;if(d===he)return;he=d,a("faf-mode",u),p(d),window.speechProcessor?.updateFAFMode(d);break}case"voice-type":{const d=Number(u);if(!d||d===z)return;z=d,a("voice-type",u),window.speechProcessor?.updateVoiceProfile(d);break}case"maf-type":{if(u===M.type)return;a("maf-type",u),He({type:u});break}case"route-mode":case"route-faf-ear":case"route-dry":{const d={"route-mode":"mode","route-faf-ear":"fafEar","route-dry":"dry"}[l];if(u===A[d])return;a(l,u),Et({[d]:u});break}case"bench-mode":{const d=document.getElementById("benchmarkContainer");if(!d)return;a("bench-mode",u),d.className=d.className.replace(/\bbench-mode--\w+/g,"").trim()+` bench-mode--${u}`;break}}})});const o=document.getElementById("advancedToggle"),r=document.getElementById("advancedPanel");o?.addEventListener("click",()=>{const i=o.getAttribute("aria-checked")==="true";o.setAttribute("aria-checked",String(!i)),o.classList.toggle("toggle-switch--on",!i),r&&(r.hidden=i)});const c=(i,l,u,d)=>{const y=document.getElementById(i);y&&y.addEventListener("click",()=>{const _=!l();u(_),y.setAttribute("aria-checked",String(_)),y.classList.toggle("toggle-switch--on",_),d(_)})};c("echoCancelToggle",()=>P,i=>{P=i},()=>window.speechProcessor?.updateAudioConstraints(P,B).catch(i=>console.warn("Constraint update failed:",i))),c("noiseSuppressToggle",()=>B,i=>{B=i},()=>window.speechProcessor?.updateAudioConstraints(P,B).catch(i=>console.warn("Constraint update failed:",i))),c("mafGateToggle",()=>M.gated,i=>{M.gated=i},()=>He({})),c("latencyCompToggle",()=>$.compensate,i=>{$.compensate=i},()=>window.speechProcessor?.setLatencyCompensation($.compensate));const h=[["mafLevelSlider","mafLevelValue","levelDb",i=>`${i} dB`],["mafAttackSlider","mafAttackValue","attackMs",i=>`${i} ms`],["mafReleaseSlider","mafReleaseValue","releaseMs",i=>`${i} ms`]];for(const[i,l,u,d]of h)document.getElementById(i)?.addEventListener("input",y=>{const _=Number(y.target.value);y.target.setAttribute("aria-valuenow",String(_)),y.target.setAttribute("aria-valuetext",d(_)),He({[u]:_})});for(const[i,l]of[["routeDryLevelSlider","dryLevel"],["routeLeftGainSlider","leftGain"],["routeRightGainSlider","rightGain"],["routeLeftDelaySlider","leftDelayMs"],["routeRightDelaySlider","rightDelayMs"],["routeBalanceSlider","balance"]])document.getElementById(i)?.addEventListener("input",u=>{const d=Number(u.target.value);u.target.setAttribute("aria-valuenow",String(d)),u.target.setAttribute("aria-valuetext",Ft(l,d)),Et({[l]:d})});const p=i=>{document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(l=>{l.disabled=i==="ola",l.title=i==="ola"?"Voice type only applies in High-Fidelity and Formant modes":""}),i==="ola"?document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(l=>{l.addEventListener("click",m,{capture:!0})}):document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(l=>{l.removeEventListener("click",m,{capture:!0})})};function m(){const i=document.querySelector('.mode-btn[data-group="faf-mode"][data-value="psola"]');i&&(i.classList.remove("mode-btn--glow"),i.offsetWidth,i.classList.add("mode-btn--glow"),i.addEventListener("animationend",()=>i.classList.remove("mode-btn--glow"),{once:!0}))}p(he),Ye();const g=document.getElementById("benchmarkBtn"),w=document.getElementById("benchmarkContainer");function f(i,l){const u=w?.querySelector(`[data-bench="${i}"]`);u&&(u.textContent=l)}g?.addEventListener("click",async()=>{if(!window.speechProcessor?.isRunning){if(!document.getElementById("benchmarkInactiveMsg")){const i=document.createElement("p");i.id="benchmarkInactiveMsg",i.className="bench-inactive-msg",i.innerHTML='Measures active session. <a href="#dafButton" class="bench-inactive-link" id="benchmarkStartLink">Start auditory feedback</a> first.',g.insertAdjacentElement("afterend",i),document.getElementById("benchmarkStartLink")?.addEventListener("click",u=>{u.preventDefault();const d=document.getElementById("dafButton");d&&(d.scrollIntoView({behavior:"smooth",block:"center"}),d.focus(),d.classList.add("btn--highlight"),setTimeout(()=>d.classList.remove("btn--highlight"),1800))});const l=new MutationObserver(()=>{window.speechProcessor?.isRunning&&(i.remove(),l.disconnect())});l.observe(document.getElementById("statusMessage")??document.body,{childList:!0,subtree:!0,characterData:!0})}return}g.disabled=!0,g.textContent="Running…";try{const i=await window.speechProcessor.runBenchmark(),l=i.jitter.stddevMs<.5?"✅ Excellent":i.jitter.stddevMs<1.5?"🟡 Good":i.jitter.stddevMs<3?"🟠 Moderate":"🔴 High";f("sampleRate",i.sampleRate.toLocaleString()+" Hz"),f("estimatedBuffer",i.estimatedBufferSamples+" samples"),f("baseLatency",i.baseLatencyMs>0?i.baseLatencyMs+" ms":"0 ms (not reported by this browser)"),f("outputLatency",i.outputLatencyMs+" ms"),f("inputLatency",i.inputLatencyMs!==null?i.inputLatencyMs+" ms":"n/a"),f("fafLatency",i.fafLatencyMs>0?i.fafLatencyMs+" ms":"off"),f("loopback",i.loopbackMs!==null?i.loopbackMs+" ms":"not measured"),f("totalFloor",i.totalFloorMs+" ms"),f("quantumMs",i.quantumMs+" ms"),f("jitterSamples",String(i.jitter.samples)),f("minDrift",i.jitter.minDriftMs+" ms"),f("maxDrift",i.jitter.maxDriftMs+" ms"),f("meanDrift",i.jitter.meanDriftMs+" ms"),f("p95Drift",i.jitter.p95DriftMs+" ms"),f("jitterStddev",i.jitter.stddevMs+" ms — "),f("jitterRating",l);const u=document.getElementById("jitterHighWarn");u&&(u.hidden=i.jitter.stddevMs<3);const d=document.getElementById("clockCoarsenedWarn");d&&(d.hidden=!i.clockCoarsened),w&&(w.hidden=!1)}catch(i){new L().updateStatus(`Benchmark failed: ${i.message}`,"error")}finally{g.disabled=!1,g.textContent="Run Benchmark"}}),document.getElementById("dafButton")?.addEventListener("click",()=>window.toggleDAF()),n?.addEventListener("click",()=>{window.speechProcessor&&window.speechProcessor.attemptResumeAudio()});const v=document.getElementById("loopbackBtn"),N=document.getElementById("loopbackValue");function X(){const i=$.result;N&&(N.textContent=i?`${i.roundTripMs} ms (confidence ${i.confidence}×)`:"Not measured")}v?.addEventListener("click",async()=>{if(!window.speechProcessor?.isRunning){new L().updateStatus("Start DAF before measuring latency","warning");return}v.disabled=!0,v.textContent="Listening…";try{const i=await window.speechProcessor.measureLoopback();new L().updateStatus(`Measured round trip: ${i.roundTripMs} ms`,"success")}catch(i){console.warn("Loopback measurement failed:",i),new L().updateStatus(`Latency test failed: ${i.message}`,"error")}finally{v.disabled=!1,v.textContent="Measure Round Trip"}}),document.addEventListener("daf:loopback-changed",i=>{$.result=i.detail,X()}),X();const k=document.getElementById("offlineFileInput"),O=document.getElementById("offlineFileBtn"),R=document.getElementById("offlinePlayer"),Q=document.getElementById("offlineDownloadBtn"),C=document.getElementById("offlineStatus");let Z=null;O?.addEventListener("click",()=>k?.click()),k?.addEventListener("change",async()=>{const i=k.files?.[0];if(k.value="",!!i){O.disabled=!0,O.textContent="Processing…",C&&(C.textContent="");try{const l=await wt(i),u=ce(),d=await vt(l,je(u));Z&&URL.revokeObjectURL(Z.url),Z={url:URL.createObjectURL(d.wav),wav:d.wav,name:`${i.name.replace(/\.[^.]+$/,"")}-daf-${u.delayTime}ms.wav`},R&&(R.src=Z.url,R.hidden=!1),Q&&(Q.hidden=!1),C&&(C.textContent=`${i.name} · ${me(l.duration*1e3)} · ${u.delayTime} ms · FAF ${Ke(je(u))}`)}catch(l){console.warn("Offline render failed:",l),new L().updateStatus(`Could not process ${i.name}: ${l.message}`,"error")}finally{O.disabled=!1,O.textContent="Choose Audio File"}}}),Q?.addEventListener("click",()=>{Z&&ee(Z.wav,Z.name)});const Ee=document.getElementById("recordBtn");Ee?.addEventListener("click",async()=>{if(!window.speechProcessor?.isRunning){new L().updateStatus("Start DAF before recording","warning");return}Ee.disabled=!0;try{window.speechProcessor.isRecording?await window.speechProcessor.stopRecording():await window.speechProcessor.startRecording()}catch(i){new L().updateStatus(`Recording failed: ${i.message}`,"error")}finally{Ee.disabled=!1}}),document.addEventListener("daf:takes-changed",()=>qe()),qe(),document.addEventListener("daf:history-changed",()=>It()),It(),ps();let ke=-1;function Lt(i){const l=i!==0,u=document.getElementById("singleFAFSection"),d=document.getElementById("offFAFSection"),y=document.getElementById("pitchUnitSection");if(a("faf-type",l?"single":"off"),u&&(u.hidden=!l),d&&(d.hidden=l),y&&(y.hidden=!l),!s)return;const _=l?F==="cents"?Math.max(-K,Math.min(K,Math.round(i*100))):i:Number(s.value),S=l?ne(_,F):"Off";b(s,_,!1),s.setAttribute("aria-valuenow",String(_)),s.setAttribute("aria-valuetext",S),te.updateDisplay("pitchShiftValue",S)}const Xe=document.getElementById("protocolPreset"),Ie=document.getElementById("protocolJson"),oe=document.getElementById("protocolStartBtn"),re=document.getElementById("protocolError"),Qe=()=>{const i=ys[Xe?.value??""];i&&Ie&&(Ie.value=JSON.stringify(i,null,2))};Xe?.addEventListener("change",Qe),Qe(),oe?.addEventListener("click",()=>{if(window.speechProcessor?.protocolActive){window.speechProcessor.stopProtocol(),oe.textContent="Start Protocol";return}if(!window.speechProcessor?.isRunning){new L().updateStatus("Start DAF before running a protocol","warning");return}try{const i=_s(Ie?.value??"");re&&(re.hidden=!0),window.speechProcessor.startProtocol(i),oe.textContent="Stop Protocol"}catch(i){re&&(re.textContent=`Invalid protocol: ${i.message}`,re.hidden=!1)}}),document.addEventListener("daf:protocol",i=>{const l=i.detail;if(!l||l.done){ke=-1,oe&&(oe.textContent="Start Protocol");return}l.index!==ke&&(ke=l.index,l.step.pitch!==null&&!T&&Lt(l.step.pitch),b(e,l.step.delay,!1),e?.setAttribute("aria-valuenow",String(l.step.delay)),e?.setAttribute("aria-valuetext",`${l.step.delay} milliseconds`),l.step.gain!==null&&(b(t,l.step.gain,!1),te.updateDisplay("inputGainValue",`${l.step.gain}x`)))});const Ze=async i=>{try{const l=await le.list(),u=`daf-practice-history-${ze(Date.now())}`;i==="csv"?ee(new Blob([Is(l)],{type:"text/csv"}),`${u}.csv`):ee(new Blob([JSON.stringify(l,null,2)],{type:"application/json"}),`${u}.json`)}catch(l){new L().updateStatus(`Export failed: ${l.message}`,"error")}};document.getElementById("historyCsvBtn")?.addEventListener("click",()=>Ze("csv")),document.getElementById("historyJsonBtn")?.addEventListener("click",()=>Ze("json"));const et=document.getElementById("deviceSelect"),te=new L;function ce(){const i=document.getElementById("singleFAFSection");return Y({delayTime:e?.value,gain:t?.value,fafType:T?"multi":i&&!i.hidden?"single":"off",pitchUnit:F,centsRange:K,pitchShift:s?.value,multiFAFSemitones:ie(),fafMode:he,pitchFloor:z,echoCancellation:P,noiseSuppression:B,mafType:M.type,mafLevelDb:M.levelDb,mafGated:M.gated,mafAttackMs:M.attackMs,mafReleaseMs:M.releaseMs,latencyCompensation:$.compensate,routeMode:A.mode,routeFafEar:A.fafEar,routeDry:A.dry,routeDryLevel:A.dryLevel,routeLeftGain:A.leftGain,routeRightGain:A.rightGain,routeLeftDelayMs:A.leftDelayMs,routeRightDelayMs:A.rightDelayMs,routeBalance:A.balance,deviceId:window.speechProcessor?.selectedDeviceId??(et?.value||q)})}function G(i,l){document.querySelector(`.mode-btn[data-group="${i}"][data-value="${l}"]`)?.click()}function tt(i,l){const u=document.getElementById(i);u&&(u.setAttribute("aria-checked",String(l)),u.classList.toggle("toggle-switch--on",l))}function b(i,l,u=!0){i&&(i.value=String(l),u&&i.dispatchEvent(new Event("input")))}async function Rt(i){i.pitchUnit==="cents"&&F==="cents"?G("cents-range",String(i.centsRange)):(K=i.centsRange,a("cents-range",String(K))),G("pitch-unit",i.pitchUnit),b(e,i.delayTime),b(t,i.gain),b(s,i.pitchShift,!1),i.multiFAFSemitones.forEach((d,y)=>{pe[y]=d}),G("faf-count",String(i.multiFAFSemitones.length)),Ye(),G("faf-type",i.fafType),i.fafType==="single"&&b(s,i.pitchShift),T&&window.speechProcessor?.updateMultiFAFNodes(ie()),G("faf-mode",i.fafMode),i.pitchFloor!==z&&(z=i.pitchFloor,a("voice-type",String(z)),window.speechProcessor?.updateVoiceProfile(z)),(i.echoCancellation!==P||i.noiseSuppression!==B)&&(P=i.echoCancellation,B=i.noiseSuppression,tt("echoCancelToggle",P),tt("noiseSuppressToggle",B),window.speechProcessor?.updateAudioConstraints(P,B).catch(d=>console.warn("Constraint update failed:",d))),i.mafGated!==M.gated&&document.getElementById("mafGateToggle")?.click(),b(document.getElementById("mafLevelSlider"),i.mafLevelDb),b(document.getElementById("mafAttackSlider"),i.mafAttackMs),b(document.getElementById("mafReleaseSlider"),i.mafReleaseMs),G("maf-type",i.mafType),i.latencyCompensation!==$.compensate&&document.getElementById("latencyCompToggle")?.click(),b(document.getElementById("routeDryLevelSlider"),i.routeDryLevel),b(document.getElementById("routeLeftGainSlider"),i.routeLeftGain),b(document.getElementById("routeRightGainSlider"),i.routeRightGain),b(document.getElementById("routeLeftDelaySlider"),i.routeLeftDelayMs),b(document.getElementById("routeRightDelaySlider"),i.routeRightDelayMs),b(document.getElementById("routeBalanceSlider"),i.routeBalance),G("route-faf-ear",i.routeFafEar),G("route-dry",i.routeDry),G("route-mode",i.routeMode);const l=i.deviceId;if(!l||l===ce().deviceId)return;let u=[];try{u=await navigator.mediaDevices.enumerateDevices()}catch{}u.some(d=>d.kind==="audioinput"&&d.deviceId===l)?window.speechProcessor?.isRunning?await window.speechProcessor.selectAudioDevice(l):(q=l,te.syncDeviceDropdown(l)):console.warn("Saved microphone is not available, keeping default")}const x=document.getElementById("profileSelect"),fe=document.getElementById("profileName"),st=document.getElementById("profileStatus");function V(i){st&&(st.textContent=i)}function ge(i=""){if(!x)return;const l=Object.keys(H.list()).sort((u,d)=>u.localeCompare(d));x.innerHTML='<option value="">Saved profiles…</option>',l.forEach(u=>{const d=document.createElement("option");d.value=u,d.textContent=u,x.appendChild(d)}),x.value=l.includes(i)?i:""}let nt=null,Le=!1;const Re=()=>{Le||(clearTimeout(nt),nt=setTimeout(()=>{H.lastUsed=ce()},300))};async function Ce(i){Le=!0;try{await Rt(i)}catch(l){console.warn("Applying settings failed:",l)}finally{Le=!1,Re()}}x?.addEventListener("change",()=>{const i=x.value&&H.get(x.value);i&&(fe&&(fe.value=x.value),Ce(i),V(`Loaded “${x.value}”.`))}),document.getElementById("profileSaveBtn")?.addEventListener("click",()=>{const i=(fe?.value??"").trim().slice(0,60);if(!i){V("Enter a profile name first."),fe?.focus();return}H.save(i,ce()),ge(i),V(`Saved “${i}”.`)}),document.getElementById("profileDeleteBtn")?.addEventListener("click",()=>{const i=x?.value;i&&(H.delete(i),ge(),V(`Deleted “${i}”.`))}),document.getElementById("profileExportBtn")?.addEventListener("click",()=>{ee(new Blob([H.exportJSON()],{type:"application/json"}),"daf-profiles.json")});const ye=document.getElementById("profileImportInput");document.getElementById("profileImportBtn")?.addEventListener("click",()=>ye?.click()),ye?.addEventListener("change",async()=>{const i=ye.files?.[0];if(i){try{const l=H.importJSON(await i.text(),i.name.replace(/\.json$/i,""));ge(l[0]),V(`Imported ${l.length} profile${l.length>1?"s":""}.`)}catch(l){V(`Import failed: ${l.message}`)}ye.value=""}}),document.getElementById("profileShareBtn")?.addEventListener("click",async()=>{const i=new URL(window.location.href);i.search=bs(ce()),i.hash="controls";try{await navigator.clipboard.writeText(i.toString()),V("Share link copied to clipboard.")}catch{window.prompt("Copy this link:",i.toString()),V("Share link created.")}}),ge();const at=document.getElementById("controls");["input","change"].forEach(i=>at?.addEventListener(i,Re)),at?.addEventListener("click",()=>setTimeout(Re,0)),navigator.mediaDevices?.enumerateDevices().then(i=>{const l=i.filter(u=>u.kind==="audioinput");if(l.some(u=>u.label)){const u=l[0]?.deviceId??null;te.populateDeviceDropdown(l,u),u&&!q&&(q=u)}else te.setDeviceDropdownPending()}).catch(()=>{te.setDeviceDropdownPending()}),et?.addEventListener("change",i=>{const l=i.target.value;l&&(window.speechProcessor?window.speechProcessor.selectAudioDevice(l).catch(u=>console.warn("Device select failed:",u)):q=l,window.sendAnalyticsEvent?.("device_dropdown_select",{deviceId:l}))});const it=As(window.location.search);it?(Ce(it),V("Loaded settings from shared link.")):H.lastUsed&&Ce(H.lastUsed)});function He(n){Object.assign(M,n);const e=document.getElementById("mafOptions"),t=document.getElementById("mafGateOptions");e&&(e.hidden=M.type==="off"),t&&(t.hidden=!M.gated);for(const[s,a,o]of[["mafLevelValue",M.levelDb,"dB"],["mafAttackValue",M.attackMs,"ms"],["mafReleaseValue",M.releaseMs,"ms"]]){const r=document.getElementById(s);r&&(r.textContent=`${a} ${o}`)}window.speechProcessor?.updateMAF(M)}function Ft(n,e){return n==="balance"?e===0?"Center":`${e<0?"L":"R"} ${Math.abs(e)}`:n.endsWith("DelayMs")?`${e} ms`:`${e}%`}function Et(n){Object.assign(A,n);const e=document.getElementById("routeSplitOptions"),t=document.getElementById("routeDryOptions");e&&(e.hidden=A.mode!=="split"),t&&(t.hidden=A.dry==="off");for(const[s,a]of[["routeDryLevelValue","dryLevel"],["routeLeftGainValue","leftGain"],["routeRightGainValue","rightGain"],["routeLeftDelayValue","leftDelayMs"],["routeRightDelayValue","rightDelayMs"],["routeBalanceValue","balance"]]){const o=document.getElementById(s);o&&(o.textContent=Ft(a,A[a]))}window.speechProcessor?.updateRouting(A)}let We=[];function me(n){const e=Math.floor(n/1e3);return`${String(Math.floor(e/60)).padStart(2,"0")}:${String(e%60).padStart(2,"0")}`}function Fs(n){return new Date(n).toISOString().slice(0,19).replace(/:/g,"-")}async function qe(){const n=document.getElementById("takeList");if(!n)return;let e=[];try{e=await Ve.list()}catch(t){console.warn("Could not load recordings:",t)}if(We.forEach(t=>URL.revokeObjectURL(t)),We=[],n.innerHTML="",e.length===0){n.innerHTML='<p class="tip">No recordings yet.</p>';return}for(const t of e){const s=URL.createObjectURL(t.dry),a=URL.createObjectURL(t.wet),o=document.createElement("div");We.push(s,a),o.className="bench-row take-row",o.innerHTML=`
+      <div class="bench-row__head">
+        <span class="bench-label">${new Date(t.createdAt).toLocaleString()}</span>
+        <span class="bench-value">${me(t.durationMs)} · ${t.delayTime} ms</span>
+      </div>
+      <div class="take-row__players">
+        <label>Your voice <audio controls preload="none" src="${s}"></audio></label>
+        <label>With feedback <audio controls preload="none" src="${a}"></audio></label>
+      </div>
+      <div class="mode-selector__buttons" role="group" aria-label="Recording actions">
+        <button class="mode-btn" type="button" data-take-action="dry">Dry WAV</button>
+        <button class="mode-btn" type="button" data-take-action="wet">Feedback WAV</button>
+        <button class="mode-btn" type="button" data-take-action="stereo">Stereo WAV</button>
+        <button class="mode-btn" type="button" data-take-action="delete">Delete</button>
+      </div>
+    `,o.querySelectorAll("[data-take-action]").forEach(r=>{r.addEventListener("click",()=>Rs(t,r.dataset.takeAction).catch(c=>console.warn("Recording action failed:",c)))}),n.appendChild(o)}}const kt=14;function ze(n){const e=new Date(n);return`${e.getFullYear()}-${String(e.getMonth()+1).padStart(2,"0")}-${String(e.getDate()).padStart(2,"0")}`}function Ke(n){return n.multiFAFSemitones?.length?`multi ${n.multiFAFSemitones.join("/")} st`:n.pitchShift?`${n.pitchShift>0?"+":""}${Math.round(n.pitchShift*100)/100} st`:"off"}function Es(n,e=Date.now()){const t=new Map;for(const c of n){const h=ze(c.startedAt);t.set(h,(t.get(h)??0)+c.durationMs)}const s=c=>{const h=new Date(e);return h.setDate(h.getDate()-c),ze(h)},a=Array.from({length:kt},(c,h)=>{const p=s(kt-1-h);return{day:p,ms:t.get(p)??0}});let o=0;for(let c=0;c<7;c++)o+=t.get(s(c))??0;let r=0;for(let c=t.has(s(0))?0:1;t.has(s(c));c++)r++;return{todayMs:t.get(s(0))??0,weekMs:o,streakDays:r,totalSessions:n.length,daily:a}}function ks(n){const e=n==null?"":String(n);return/[",\n]/.test(e)?`"${e.replace(/"/g,'""')}"`:e}function Is(n){return[["started_at","ended_at","duration_s","delay_ms","gain","faf","faf_mode","voice_floor_hz","maf","maf_level_db","maf_gated","device","latency_floor_ms","jitter_ms","speaking_s","pauses","syllables_per_s","f0_mean_hz"].join(","),...n.map(t=>[new Date(t.startedAt).toISOString(),new Date(t.endedAt).toISOString(),Math.round(t.durationMs/1e3),t.delayTime,t.gain,Ke(t),t.fafMode,t.pitchFloor,t.maf?.type??"off",t.maf?.levelDb,t.maf?t.maf.gated:null,t.deviceLabel,t.benchmark?.totalFloorMs,t.benchmark?.jitterStddevMs,t.speech?Math.round(t.speech.speakingMs/1e3):null,t.speech?.pauseCount,t.speech?.syllablesPerSec,t.speech?.f0MeanHz].map(ks).join(","))].join(`
+`)}function Je(n){const e=Math.round(n/6e4);return e<60?`${e} min`:`${Math.floor(e/60)} h ${e%60} min`}function Ls(n){const e=Math.max(...n.map(a=>a.ms),6e4),t=100/n.length,s=n.map((a,o)=>{const r=Math.round(a.ms/e*56);return`<rect x="${(o*t+t*.15).toFixed(2)}" y="${60-r}" width="${(t*.7).toFixed(2)}" height="${r}" rx="1" fill="var(--primary)"><title>${a.day}: ${Je(a.ms)}</title></rect>`}).join("");return`<svg class="history-chart" viewBox="0 0 100 60" preserveAspectRatio="none" role="img" aria-label="Practice minutes over the last ${n.length} days">${s}</svg>`}async function It(){const n=document.getElementById("historyView");if(!n)return;let e=[];try{e=await le.list()}catch(r){console.warn("Could not load practice history:",r)}const t=Es(e),s=(r,c)=>{const h=n.querySelector(`[data-history="${r}"]`);h&&(h.textContent=c)};s("today",Je(t.todayMs)),s("week",Je(t.weekMs)),s("streak",`${t.streakDays} day${t.streakDays===1?"":"s"}`),s("sessions",String(t.totalSessions));const a=n.querySelector("[data-history-chart]");a&&(a.innerHTML=Ls(t.daily));const o=n.querySelector("[data-history-list]");o&&(o.innerHTML=e.length===0?'<p class="tip">No sessions yet. Sessions are saved when you stop DAF.</p>':e.slice(0,10).map(r=>`
+      <div class="bench-row">
+        <div class="bench-row__head">
+          <span class="bench-label">${new Date(r.startedAt).toLocaleString()}</span>
+          <span class="bench-value">${me(r.durationMs)} · ${r.delayTime} ms · FAF ${Ke(r)}${r.maf?` · MAF ${r.maf.type}`:""}${r.speech?.speakingMs?` · ${r.speech.syllablesPerSec} syl/s`:""}</span>
+        </div>
+      </div>`).join(""))}async function Rs(n,e){const t=`daf-take-${Fs(n.createdAt)}`;switch(e){case"dry":ee(n.dry,`${t}-dry.wav`);break;case"wet":ee(n.wet,`${t}-feedback.wav`);break;case"stereo":{ee(await Qt(n.dry,n.wet,n.sampleRate),`${t}-stereo.wav`);break}case"delete":await Ve.delete(n.id),qe();break}}function Ye(){const n=document.getElementById("fafSignalSliders");if(n){n.innerHTML="";for(let e=0;e<be;e++){const t=pe[e]??0,s=t===0?"0 st (unshifted)":`${t>0?"+":""}${t} st`,a=document.createElement("div");a.className="faf-signal-row",a.innerHTML=`
+      <label class="faf-signal-label" for="fafSignal${e}">
+        Signal ${e+1}:
+        <span id="fafSignalValue${e}" class="slider-value">${s}</span>
+      </label>
+      <input
+        type="range"
+        id="fafSignal${e}"
+        class="faf-signal-slider"
+        min="-8" max="8" step="1" value="${t}"
+        aria-valuemin="-8" aria-valuemax="8"
+        aria-valuenow="${t}" aria-valuetext="${s}"
+        data-index="${e}"
+      />
+    `,n.appendChild(a),a.querySelector(".faf-signal-slider").addEventListener("input",o=>{const r=Number(o.target.dataset.index),c=Number(o.target.value);pe[r]=c;const h=c===0?"0 st (unshifted)":`${c>0?"+":""}${c} st`,p=document.getElementById(`fafSignalValue${r}`);p&&(p.textContent=h),o.target.setAttribute("aria-valuenow",String(c)),o.target.setAttribute("aria-valuetext",h),T&&window.speechProcessor?.updateMultiFAFNodes(ie())})}}}(function(){const n=document.getElementById("statusMessage");if(!n)return;let e=n.textContent;const t=()=>{n.classList.remove("status-flash"),n.offsetWidth,n.classList.add("status-flash"),setTimeout(()=>n.classList.remove("status-flash"),1100)};new MutationObserver(()=>{const s=n.textContent;s!==e&&(e=s,t())}).observe(n,{characterData:!0,childList:!0,subtree:!0})})(),(function(){const n=document.getElementById("advancedPanel");n&&new MutationObserver(()=>{n.hasAttribute("hidden")?n.setAttribute("inert",""):n.removeAttribute("inert")}).observe(n,{attributes:!0,attributeFilter:["hidden"]})})();
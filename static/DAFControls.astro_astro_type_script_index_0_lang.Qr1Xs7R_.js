@@ -1,63 +0,0 @@
-function Z(n){return function(){let e=n+=1831565813;return e=Math.imul(e^e>>>15,e|1),e^=e+Math.imul(e^e>>>7,e|61),((e^e>>>14)>>>0)/4294967296}}function W(n,e,t){const s=t()||1e-4,a=t(),d=Math.sqrt(-2*Math.log(s))*Math.cos(2*Math.PI*a);return n+e*d}function ee(n,e){if(n<30){const t=Math.exp(-n);let s=0,a=1;do s++,a*=e();while(a>t);return s-1}else{const t=W(n,Math.sqrt(n),e);return Math.max(0,Math.round(t))}}function te(n,e,t=5){if(e<=0)return{reviews:[],meanValue:0,elementCount:0,dailyReviewCounts:[]};n=Math.max(1,Math.min(5,n));const s=Z(42),a=[],d=[];let l=0;for(let _=0;_<e;_++){const m=1.8*Math.sin(2*Math.PI*_/(e*.2))*Math.exp(-.04*_),b=n-(n-3)*Math.exp(-.02*_),i=W(0,.06,s);l+=i;const c=Math.max(1.2,Math.min(4.8,b+m+l));a.push(c);const r=(.1+2.4*Math.pow(_/e,1.5))*t;d.push(ee(r,s))}const u=[],p=1.3;for(let _=0;_<e;_++){const m=d[_];if(m>0)for(let D=0;D<m;D++){const b=W(a[_],p,s),i=Math.max(1,Math.min(5,Math.round(b)));u.push([_+1,i])}}if(u.length===0)return{reviews:[],meanValue:0,elementCount:0,dailyReviewCounts:d};const g=u.reduce((_,m)=>_+m[1],0)/u.length;return{reviews:u,meanValue:g,elementCount:u.length,dailyReviewCounts:d}}const X={base:"/delayed-auditory-feedback-online/",datePublished:"2025-02-16",dateModified:new Date().toISOString().split("T")[0],lastUpdatedMonthYearFooter:new Date().toLocaleString("default",{month:"long",year:"numeric"}),currentYear:new Date().getFullYear().toString()},se=1e3*60*60*24,ie=Math.floor((new Date().getTime()-new Date(X.datePublished).getTime())/se),z=te(4.5,ie,.5);z.meanValue.toFixed(1),z.elementCount.toString();const ne=2,ae=256,oe=Math.ceil(ae*ne)+2,re=1,V=48e3,ce="/delayed-auditory-feedback-online/static/pitchShifter.worklet-B4T38Kgt.js",q="psola";function le(n){return oe/n*1e3}function P(n,e){return Math.floor(e/n)/e*1e3*re}const de={deep:{pitchFloor:80,label:"Deep",latencyMs:P(80,V)},average:{pitchFloor:120,label:"Average",latencyMs:P(120,V)},high:{pitchFloor:150,label:"High-pitched",latencyMs:P(150,V)}},ue="average";function Y(n){return Math.pow(2,n/12)}async function he(n){await n.audioWorklet.addModule(ce)}const me=200,fe=`
-(function () {
-  'use strict';
-
-  const SAMPLES = ${me};
-
-  class BenchmarkProcessor extends AudioWorkletProcessor {
-    constructor() {
-      super();
-      this._drifts = [];
-      this._frame0 = -1;
-      this._t0     = 0;
-      this._done   = false;
-    }
-
-    process(_inputs, _outputs, _params) {
-      if (this._done) return false;
-
-      const wallMs = Date.now();
-
-      if (this._frame0 === -1) {
-        // Anchor: record the first quantum's frame count and wall time.
-        // All subsequent drift measurements are relative to this pair.
-        this._frame0 = currentFrame;
-        this._t0     = wallMs;
-        return true;
-      }
-
-      // Expected wall time = anchor + exact sample-accurate elapsed time.
-      // currentFrame is integer samples — no resolution loss here.
-      // Date.now() has 1ms resolution, but the DRIFT (deviation from expected)
-      // still exposes scheduling pressure: a quantum consistently 5ms late
-      // will show as drift ≈ +5ms regardless of Date.now() coarsening.
-      const expectedMs = this._t0 + ((currentFrame - this._frame0) / sampleRate) * 1000;
-      this._drifts.push(wallMs - expectedMs);
-
-      if (this._drifts.length >= SAMPLES) {
-        this._done = true;
-        this.port.postMessage({ drifts: this._drifts });
-        return false;
-      }
-
-      return true;
-    }
-  }
-
-  registerProcessor('benchmark-processor', BenchmarkProcessor);
-})();
-`;async function pe(n){const e=new Blob([fe],{type:"application/javascript"}),t=URL.createObjectURL(e);try{await n.audioWorklet.addModule(t)}finally{URL.revokeObjectURL(t)}}function ge(n){return n.reduce((e,t)=>e+t,0)/n.length}function _e(n,e){const t=n.reduce((s,a)=>s+(a-e)**2,0)/n.length;return Math.sqrt(t)}function ve(n){const e=[...n].sort((t,s)=>t-s);return e[Math.floor(e.length*.95)]??e[e.length-1]??0}function ye(){const n=Date.now(),e=performance.now();for(;performance.now()-e<5;);return Date.now()===n}async function we(n,e,t){if(n.state!=="running")throw new Error(`AudioContext must be running (current state: ${n.state})`);const s=ye();s&&console.warn("BenchmarkManager: Date.now() appears coarsened to ≥10 ms (likely Firefox with privacy.resistFingerprinting = true). Drift measurements will be meaningless — surfacing warning in result.");const a=(n.baseLatency??0)*1e3,d=(n.outputLatency??0)*1e3;let l=null;try{const r=e?.getAudioTracks?.()?.[0]?.getSettings?.();r?.latency&&(l=r.latency*1e3)}catch{}const u=a+d+(l??0),p=Math.round(n.baseLatency*n.sampleRate),w=128/n.sampleRate*1e3;await pe(n);const g=await new Promise((r,o)=>{let h=null;const v=setTimeout(()=>{try{h?.disconnect()}catch{}o(new Error("Benchmark timed out"))},5e3);try{h=new AudioWorkletNode(n,"benchmark-processor",{numberOfInputs:0,numberOfOutputs:1,outputChannelCount:[1]}),h.port.onmessage=f=>{clearTimeout(v);try{h.disconnect()}catch{}r(f.data.drifts)},h.onprocessorerror=f=>{clearTimeout(v),o(new Error(`Benchmark worklet error: ${f}`))},h.connect(n.destination)}catch(f){clearTimeout(v),o(f)}});if(g.length<10)throw new Error(`Too few samples collected (${g.length})`);const _=g.map(Math.abs),m=ge(g),D=_e(g,m),b=ve(_),i=Math.min(...g),c=Math.max(...g);return{sampleRate:n.sampleRate,baseLatencyMs:Math.round(a*10)/10,outputLatencyMs:Math.round(d*10)/10,inputLatencyMs:l!==null?Math.round(l*10)/10:null,fafLatencyMs:Math.round(t*10)/10,totalFloorMs:Math.round(u*10)/10,estimatedBufferSamples:p,quantumMs:Math.round(w*100)/100,clockCoarsened:s,jitter:{minDriftMs:Math.round(i*10)/10,maxDriftMs:Math.round(c*10)/10,meanDriftMs:Math.round(m*10)/10,p95DriftMs:Math.round(b*10)/10,stddevMs:Math.round(D*10)/10,samples:g.length}}}class Se{_ctx=null;_nodes={source:null,gainNode:null,delayNode:null};_fafNodes=[];_fafSumNode=null;_fafActive=!1;_workletReady=!1;_pitchFloor=de[ue].pitchFloor;_fafMode=q;measuredFloorMs=null;constructor(e){this._init(e)}get context(){return this._ctx}get state(){return this._ctx?.state??"closed"}get gainValue(){return this._nodes.gainNode?.gain.value??1}get fafLatencyMs(){return!this._fafActive||!this._ctx?0:this._fafMode==="ola"?le(this._ctx.sampleRate):P(this._pitchFloor,this._ctx.sampleRate)}set pitchFloor(e){this._pitchFloor=e}set fafMode(e){this._fafMode=e}connect(e,t){const s=this._ctx,a=this._nodes;a.source=s.createMediaStreamSource(e),a.gainNode=s.createGain(),a.delayNode=s.createDelay(.5);const d=1e-6;a.delayNode.delayTime.value=Math.max(d,t.delayTime/1e3),a.gainNode.gain.value=t.gain,a.source.connect(a.delayNode),a.delayNode.connect(a.gainNode),a.gainNode.connect(s.destination);const l=t.multiFAFSemitones?.length?t.multiFAFSemitones:t.pitchShift!==0?[t.pitchShift]:[];l.length>0&&this.setFAFNodes(l).catch(u=>console.warn("FAF init failed:",u))}disconnect(){this._teardownFAF();const{source:e,gainNode:t,delayNode:s}=this._nodes;[e,t,s].forEach(a=>{try{a?.disconnect()}catch{}}),this._nodes={source:null,gainNode:null,delayNode:null}}async close(){if(this.disconnect(),this._ctx&&this._ctx.state!=="closed")try{await this._ctx.close()}catch(e){console.error("Error closing AudioContext:",e)}this._ctx=null,this.measuredFloorMs=null,this._workletReady=!1}async resume(){this._ctx?.state==="suspended"&&await this._ctx.resume()}setDelayTime(e){if(!this._ctx||!this._nodes.delayNode)return;const s=e<=0?1e-6:e/1e3;this._nodes.delayNode.delayTime.setValueAtTime(s,this._ctx.currentTime)}setGain(e){!this._ctx||!this._nodes.gainNode||this._nodes.gainNode.gain.setValueAtTime(e,this._ctx.currentTime)}async setFAFSemitones(e){return this.setFAFNodes(e===0?[]:[e])}async setFAFNodes(e){if(!this._ctx||!this._nodes.source||!this._nodes.delayNode)return;const{source:t,delayNode:s}=this._nodes;if(e.length===0){if(!this._fafActive)return;this._teardownFAF();try{t.connect(s)}catch{}console.log("FAF bypassed");return}if(!this._workletReady)try{await he(this._ctx),this._workletReady=!0}catch(l){throw console.error("PitchShifterWorklet failed to load:",l),l}if(!this._ctx||!this._nodes.source||!this._nodes.delayNode)return;if(e.length===this._fafNodes.length&&this._fafActive){for(let u=0;u<e.length;u++){const p=this._fafNodes[u].parameters.get("pitchRatio");p&&(p.value=Y(e[u]))}const l=e.map(u=>`${u>0?"+":""}${u}`).join(", ");console.log(`FAF ratios updated: [${l}] st`);return}this._teardownFAF();try{this._nodes.source.disconnect(this._nodes.delayNode)}catch{}const a=e.length;this._fafSumNode=this._ctx.createGain(),this._fafSumNode.gain.value=1/a;for(const l of e){const u=this._fafMode==="ola"?"pitch-shifter-ola":"pitch-shifter-psola",p=new AudioWorkletNode(this._ctx,u,{numberOfInputs:1,numberOfOutputs:1,outputChannelCount:[1],processorOptions:this._fafMode==="psola"?{pitchFloor:this._pitchFloor}:{}}),w=p.parameters.get("pitchRatio");w&&(w.value=Y(l)),this._nodes.source.connect(p),p.connect(this._fafSumNode),this._fafNodes.push(p)}this._fafSumNode.connect(this._nodes.delayNode),this._fafActive=!0;const d=e.map(l=>`${l>0?"+":""}${l}`).join(", ");console.log(`FAF enabled [${a} signal${a>1?"s":""}]: [${d}] st`)}onStateChange(e){this._ctx?.addEventListener("statechange",t=>{const s=t.target.state;e(s)})}measureLatencyFloor(e){if(this._ctx)try{const t=((this._ctx.baseLatency??0)+(this._ctx.outputLatency??0))*1e3;let s=0;try{const d=e?.getAudioTracks?.()?.[0]?.getSettings?.();d?.latency&&(s=d.latency*1e3)}catch{}const a=s+t;this.measuredFloorMs=a,console.log(`Latency floor: ${t.toFixed(1)}ms (output)`+(s?` + ${s.toFixed(1)}ms (input)`:" + 0 (input unknown)")+` = ${a.toFixed(1)}ms total`),a>25&&console.warn(`Round-trip floor ${a.toFixed(1)}ms > 25ms — slap-back likely at low delay settings`)}catch{}}async benchmark(e){if(!this._ctx)throw new Error("AudioContext not initialised");return we(this._ctx,e,this.fafLatencyMs)}_teardownFAF(){const e=this._nodes.source;for(const t of this._fafNodes){if(e)try{e.disconnect(t)}catch{}try{t.disconnect()}catch{}}if(this._fafNodes=[],this._fafSumNode){try{this._fafSumNode.disconnect()}catch{}this._fafSumNode=null}this._fafActive=!1}_init(e){const t={latencyHint:0};e&&Number.isFinite(e)&&(t.sampleRate=e);const s=window.AudioContext??window.webkitAudioContext;this._ctx=new s(t)}}class B{availableDevices=[];selectedDeviceId=null;micAccessGranted=!1;echoCancellation=!1;noiseSuppression=!1;_ui;_reporter;_sampleRate=null;_currentLabel="";_initialized=!1;_onDeviceChange=null;constructor(e,t){this._ui=e,this._reporter=t}async acquireStream(e=null){if(e)return this.micAccessGranted=!0,this._recordTrackMeta(e.getAudioTracks()[0]),{stream:e,sampleRate:this._sampleRate};const t={audio:{echoCancellation:this.echoCancellation,autoGainControl:!1,noiseSuppression:this.noiseSuppression,channelCount:1,...this.selectedDeviceId?{deviceId:{exact:this.selectedDeviceId}}:{}}},s=await navigator.mediaDevices.getUserMedia(t);this.micAccessGranted=!0,this._recordTrackMeta(s.getAudioTracks()[0]);try{const a=await navigator.mediaDevices.enumerateDevices();this.availableDevices=a.filter(d=>d.kind==="audioinput")}catch(a){console.warn("Could not refresh device list after mic grant:",a)}return{stream:s,sampleRate:this._sampleRate}}releaseStream(e){e&&(e.getTracks().forEach(t=>{t.stop(),t.enabled=!1}),this.micAccessGranted=!1)}async enumerate(){try{let e=null;if(!this.micAccessGranted)try{e=await navigator.mediaDevices.getUserMedia({audio:!0})}catch{}const t=await navigator.mediaDevices.enumerateDevices();return e&&e.getTracks().forEach(s=>{try{s.stop()}catch{}}),this.availableDevices=t.filter(s=>s.kind==="audioinput"),console.log("Audio inputs:",this.availableDevices),this._autoSelectHeadphone(),this._reflectSelectedDeviceInUI(),this._ui.populateDeviceDropdown(this.availableDevices,this.selectedDeviceId),this.availableDevices}catch(e){return console.error("Error enumerating audio devices:",e),this._ui.updateDeviceUI("Default microphone",!1),[]}}async _acquireAndRestart(e,t){const s=this.selectedDeviceId;let a=null;try{a=await navigator.mediaDevices.getUserMedia({audio:{echoCancellation:this.echoCancellation,autoGainControl:!1,noiseSuppression:this.noiseSuppression,channelCount:1,deviceId:{exact:e}}})}catch(l){const{message:u}=this._reporter.classifyMicError(l);return this._ui.updateStatus(u,"error"),!1}this.selectedDeviceId=e;const d=await t(a);return d||(this.selectedDeviceId=s),d}async selectById(e,t,s){if(!e)return!1;if(!t)return this.selectedDeviceId=e,this._ui.syncDeviceDropdown(e),!0;if(!await this._acquireAndRestart(e,s))return this._ui.syncDeviceDropdown(this.selectedDeviceId),!1;const l=this.availableDevices.find(u=>u.deviceId===e)?.label??"Selected microphone";return this._ui.updateDeviceUI(l,this._isHeadphoneMic(l)),this._ui.syncDeviceDropdown(e),this._ui.updateStatus(`Switched to: ${l}`,"success"),!0}async select(e,t=null){return e?t?this._acquireAndRestart(e,t):(this.selectedDeviceId=e,!0):!1}initChangeListener(e,t){if(!this._initialized){this._onDeviceChange=async()=>{t()&&await e()};try{navigator.mediaDevices.addEventListener("devicechange",this._onDeviceChange)}catch(s){console.warn("Could not attach devicechange listener:",s),this._onDeviceChange=null}this._initialized=!0}}destroy(){try{this._onDeviceChange&&navigator.mediaDevices.removeEventListener("devicechange",this._onDeviceChange)}catch{}this._initialized=!1,this._onDeviceChange=null,this.availableDevices=[],this.selectedDeviceId=null,this.micAccessGranted=!1}_recordTrackMeta(e){if(!e)return;const t=e.getSettings?.()??{};this._sampleRate=t.sampleRate??null,t.deviceId&&(this.selectedDeviceId=t.deviceId);const s=e.label||"";this._currentLabel=s||"Default microphone";const a=this._isHeadphoneMic(s);this._ui.updateDeviceUI(this._currentLabel,a),console.log("Selected microphone settings:",t)}static HEADPHONE_TERMS=["headphone","headset","earphone","kopfhörer","kopfhorer","écouteur","ecouteur","casque","auricular","auriculares","auricolare","cuffie","hoofdtelefoon"];_autoSelectHeadphone(){const e=this.availableDevices.find(t=>{const s=(t.label||"").toLowerCase();return s.includes("bluetooth")||s.includes("airpod")?!1:B.HEADPHONE_TERMS.some(a=>s.includes(a))});e&&this.selectedDeviceId!==e.deviceId&&(this.selectedDeviceId=e.deviceId,console.log("Auto-selected headphone mic:",e.label),this._ui.updateDeviceUI(e.label,!0))}_reflectSelectedDeviceInUI(){if(this.selectedDeviceId){const t=this.availableDevices.find(s=>s.deviceId===this.selectedDeviceId);if(t){this._ui.updateDeviceUI(t.label,this._isHeadphoneMic(t.label)),this._ui.syncDeviceDropdown(t.deviceId);return}}const e=this.availableDevices.find(t=>t.deviceId==="default"||t.deviceId==="")??this.availableDevices[0];e?(this._ui.updateDeviceUI(e.label,this._isHeadphoneMic(e.label)),this._ui.syncDeviceDropdown(e.deviceId)):this._ui.updateDeviceUI("Default microphone",!1)}_isHeadphoneMic(e){if(!e)return!1;const t=e.toLowerCase();return t.includes("bluetooth")||t.includes("airpod")?!1:B.HEADPHONE_TERMS.some(s=>t.includes(s))}}class be{classifyMicError(e){const t=e,s=t?.name??"",a=(t?.message??"").toLowerCase();return s==="NotAllowedError"&&a.includes("system")?{tag:"permission_denied_system",message:"Your operating system is blocking microphone access. Please check your system privacy settings (macOS: System Settings → Privacy & Security → Microphone; Windows: Settings → Privacy → Microphone) and allow access, then try again."}:s==="NotAllowedError"&&a.includes("avaudiosession")?{tag:"permission_denied_ios_no_device",message:"No microphone was found on your device. Please plug in a headset or enable microphone access in Settings → Safari → Microphone, then try again."}:s==="NotAllowedError"&&a.includes("dismiss")?{tag:"permission_dismissed",message:'Microphone access was dismissed. Please tap "Start DAF" again and click "Allow" when prompted.'}:s==="NotAllowedError"||s==="PermissionDeniedError"||a.includes("not allowed")||a.includes("denied")?{tag:"permission_denied_user",message:`Microphone access was denied. Please click the 🔒 / 🎙️ icon in your browser's address bar, set Microphone to "Allow", refresh the page, and try again.`}:s==="NotFoundError"||a.includes("not found")||a.includes("device")?{tag:"device_not_found",message:"The selected microphone could not be found. It may have been unplugged. Please check your microphone connection and try again."}:{tag:"unknown",message:"Could not access your microphone. Please make sure a microphone is connected and this page has permission to use it, then try again."}}}class Me{_intervalId=null;_startTime=0;elapsedMs=0;start(){const e=document.getElementById("dafTimer");e&&(this._startTime=performance.now(),this.elapsedMs=0,e.textContent="00:00",e.classList.add("timer-running"),this._tick(e))}resume(){const e=document.getElementById("dafTimer");!e||this._intervalId||(this._startTime=performance.now()-this.elapsedMs,e.classList.add("timer-running"),this._tick(e))}pause(){this._intervalId&&(clearInterval(this._intervalId),this._intervalId=null)}stop(){this.pause(),this.elapsedMs=0;const e=document.getElementById("dafTimer");e&&(e.textContent="00:00",e.classList.remove("timer-running"))}_tick(e){this._intervalId=setInterval(()=>{this.elapsedMs=performance.now()-this._startTime;const t=Math.floor(this.elapsedMs/1e3),s=String(Math.floor(t/60)).padStart(2,"0"),a=String(t%60).padStart(2,"0");e.textContent=`${s}:${a}`},1e3)}}const Ae={success:"status-success",error:"status-error",loading:"status-loading",warning:"status-warning",info:"status-info"};class G{updateStatus(e,t="info"){const s=document.getElementById("statusMessage");s&&(s.textContent=e,s.classList.remove("status-success","status-error","status-warning","status-info","status-default","status-loading"),s.classList.add(Ae[t]??"status-default"))}updateDisplay(e,t){const s=document.getElementById(e);s&&(s.textContent=t)}updateControls(e){const t=document.getElementById("dafButton");t&&(t.textContent=e?"Stop DAF":"Start DAF",t.setAttribute("aria-pressed",String(e)))}updateDeviceUI(e,t){const s=document.getElementById("deviceIcon");s&&(s.textContent=t?"🎧":"🎙️")}populateDeviceDropdown(e,t){const s=document.getElementById("deviceSelect");if(s){if(s.innerHTML="",e.length===0){const a=document.createElement("option");a.value="",a.textContent="No microphones found",s.appendChild(a),s.disabled=!0;return}s.disabled=!1,e.forEach((a,d)=>{const l=document.createElement("option");l.value=a.deviceId,l.textContent=a.label||`Microphone ${d+1}`,a.deviceId===t&&(l.selected=!0),s.appendChild(l)}),!s.value&&e.length>0&&(s.options[0].selected=!0)}}setDeviceDropdownPending(){const e=document.getElementById("deviceSelect");if(!e)return;e.innerHTML="";const t=document.createElement("option");t.value="",t.textContent="Start DAF to see available microphones",e.appendChild(t),e.disabled=!0}syncDeviceDropdown(e){if(!e)return;const t=document.getElementById("deviceSelect");t&&(t.value=e,!t.value&&t.options.length>0&&(t.options[0].selected=!0))}}class De{_config={delayTime:200,gain:1,pitchShift:0,multiFAFSemitones:[],pitchFloor:120,fafMode:q};get config(){return this._config}_ui;_reporter;_devices;_timer;_graph=null;_stream=null;_resumeAttempts=0;_maxResumeAttempts=5;_isAppVisible=document.visibilityState==="visible";_onVisibilityChange;_onFreeze;_onResume;_onDocClick;constructor(){this._ui=new G,this._reporter=new be,this._devices=new B(this._ui,this._reporter),this._timer=new Me,this._onVisibilityChange=this._handleVisibilityChange.bind(this),this._onFreeze=this._handleFreeze.bind(this),this._onResume=this._handleResume.bind(this),this._onDocClick=this._handleDocClick.bind(this),document.addEventListener("visibilitychange",this._onVisibilityChange),"onfreeze"in document&&document.addEventListener("freeze",this._onFreeze),"onresume"in document&&document.addEventListener("resume",this._onResume),document.addEventListener("click",this._onDocClick),this._ui.updateDeviceUI('Click "Start DAF" to select your microphone',!1)}get isRunning(){return!!this._graph&&this._graph.state==="running"}get measuredFloorMs(){return this._graph?.measuredFloorMs??null}get fafLatencyMs(){return this._graph?.fafLatencyMs??0}async start(e=null){this._ui.updateStatus("Starting audio connection…","loading");try{const{stream:t,sampleRate:s}=await this._devices.acquireStream(e);this._stream=t,this._graph=new Se(s),this._graph.pitchFloor=this._config.pitchFloor,this._graph.fafMode=this._config.fafMode,this._graph.onStateChange(a=>this._onGraphStateChange(a)),this._graph.connect(t,this.config),this._graph.state==="running"&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay(),setTimeout(()=>{this.isRunning&&this._graph&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay())},200)),this._ui.updateControls(!0),this._ui.updateStatus("Auditory Feedback Active","success"),this._timer.elapsedMs>0?this._timer.resume():this._timer.start(),await this._devices.enumerate(),this._devices.initChangeListener(()=>this._devices.enumerate(),()=>this.isRunning)}catch(t){throw this._handleStartError(t),t}}async stop({preserveTimer:e=!1}={}){e?this._timer.pause():this._timer.stop(),this._devices.releaseStream(this._stream),this._stream=null,await this._graph?.close(),this._graph=null,this._resumeAttempts=0,this._ui.updateStatus("Auditory Feedback Stopped","info"),this._ui.updateControls(!1),this._ui.updateDeviceUI('Click "Start DAF" to select your microphone',!1)}async restartWithNewDevice(e=null){const t={...this.config,multiFAFSemitones:[...this._config.multiFAFSemitones]};return await this.stop({preserveTimer:!0}),await new Promise(s=>setTimeout(s,300)),this._config=t,await this.start(e),!0}updateDelayTime(e){this._config.delayTime=e,this._graph?.setDelayTime(e),this._refreshDelayDisplay()}updateGain(e){this._config.gain=e,this._graph?.setGain(e),this._ui.updateDisplay("inputGainValue",`${e}x`)}updateInputGain(e){this.updateGain(e)}updatePitchShift(e){this._config.pitchShift=e,this._refreshDelayDisplay(),this._graph?.setFAFSemitones(e).then(()=>this._refreshDelayDisplay()).catch(t=>console.warn("FAF update failed:",t))}updateMultiFAFNodes(e){this._config.multiFAFSemitones=e,this._refreshDelayDisplay(),this._graph?.setFAFNodes(e).then(()=>this._refreshDelayDisplay()).catch(t=>console.warn("Multi-FAF update failed:",t))}setPreferredDevice(e){this._devices.selectedDeviceId=e}updateVoiceProfile(e){if(this._config.pitchFloor=e,this._graph){this._graph.pitchFloor=e;const t=this._config.multiFAFSemitones.length?this._config.multiFAFSemitones:this._config.pitchShift!==0?[this._config.pitchShift]:[];t.length>0&&this._graph.setFAFNodes([]).then(()=>this._graph?.setFAFNodes(t)).then(()=>this._refreshDelayDisplay()).catch(s=>console.warn("Voice profile FAF rebuild failed:",s)),this._refreshDelayDisplay()}}updateFAFMode(e){if(this._config.fafMode=e,this._graph){this._graph.fafMode=e;const t=this._config.multiFAFSemitones.length?this._config.multiFAFSemitones:this._config.pitchShift!==0?[this._config.pitchShift]:[];t.length>0&&this._graph.setFAFNodes([]).then(()=>this._graph?.setFAFNodes(t)).then(()=>this._refreshDelayDisplay()).catch(s=>console.warn("FAF mode switch failed:",s)),this._refreshDelayDisplay()}}seedAudioConstraints(e,t){this._devices.echoCancellation=e,this._devices.noiseSuppression=t}async updateAudioConstraints(e,t){this._devices.echoCancellation=e,this._devices.noiseSuppression=t,this.isRunning&&await this.restartWithNewDevice(null)}async selectAudioDevice(e){await this._devices.selectById(e,this.isRunning,t=>this.restartWithNewDevice(t))}async runBenchmark(){if(!this._graph)throw new Error("DAF is not running");return this._graph.benchmark(this._stream)}async destroy(){await this.stop(),this._devices.destroy(),document.removeEventListener("visibilitychange",this._onVisibilityChange),document.removeEventListener("freeze",this._onFreeze),document.removeEventListener("resume",this._onResume),document.removeEventListener("click",this._onDocClick),console.log("SpeechProcessor destroyed")}async attemptResumeAudio(){if(!(!this._graph||this._graph.state!=="suspended")&&!(this._resumeAttempts>=this._maxResumeAttempts)){this._resumeAttempts++;try{await this._graph.resume(),this._resumeAttempts=0}catch{if(this._resumeAttempts>1,this._resumeAttempts<this._maxResumeAttempts){const e=Math.pow(2,this._resumeAttempts)*100;setTimeout(()=>this.attemptResumeAudio(),e)}else this._ui.updateStatus("Audio paused — tap to resume","error")}}}_onGraphStateChange(e){this._notifyServiceWorker("AUDIO_STATE",{state:e}),e==="running"&&this._graph&&(this._graph.measureLatencyFloor(this._stream),this._refreshDelayDisplay()),e==="suspended"&&this._isAppVisible&&this._graph&&this.attemptResumeAudio()}_handleVisibilityChange(){this._isAppVisible=document.visibilityState==="visible",this._notifyServiceWorker("VISIBILITY_CHANGE",{isVisible:this._isAppVisible}),this._isAppVisible&&this._graph?.state==="suspended"&&this.attemptResumeAudio()}_handleFreeze(){}_handleResume(){this._graph?.state==="suspended"&&this.attemptResumeAudio()}_handleDocClick(){this._graph?.state==="suspended"&&this.attemptResumeAudio()}_notifyServiceWorker(e,t){"serviceWorker"in navigator&&navigator.serviceWorker.controller&&navigator.serviceWorker.controller.postMessage({type:e,...t})}_refreshDelayDisplay(){const e=this._config.delayTime,t=this.measuredFloorMs??0,s=this.fafLatencyMs,a=t+s,d=a>5?`${e} ms (~${Math.round(e+a)} ms effective)`:`${e} ms`;this._ui.updateDisplay("delayValue",d)}_handleStartError(e){this._timer.stop();const t=this._reporter.classifyMicError(e);this._ui.updateStatus(t.message,"error")}}"serviceWorker"in navigator&&window.addEventListener("load",()=>{navigator.serviceWorker.register(`${X.base}service-worker.js`).then(n=>console.log("Service Worker registered:",n.scope)).catch(n=>console.warn("Service Worker registration failed:",n))});let E=null;async function J(){try{"wakeLock"in navigator&&(E=await navigator.wakeLock.request("screen"),E.addEventListener("release",()=>{E=null}))}catch(n){console.error("Wake Lock request failed:",n.message)}}function Q(){E?.release().then(()=>{E=null}).catch(console.error)}let k=null,I=!1,C=!1,U=120,R=q,S="semitones",O=800;function L(n,e){if(n===0)return"Off";const t=Math.abs(n),s=n>0?"+":"-";return e==="semitones"?`${s}${t} ${t===1?"semitone":"semitones"}`:`${s}${t} ${t===1?"cent":"cents"}`}function x(n,e){return e==="cents"?n/100:n}let F=!1,T=2;const H=[6,-6,0,-5];function $(){return H.slice(0,T)}document.addEventListener("visibilitychange",()=>{document.visibilityState==="visible"&&window.speechProcessor&&(window.speechProcessor.attemptResumeAudio(),E||J())});window.addEventListener("beforeunload",()=>{window.speechProcessor?.stop(),Q()});window.toggleDAF=async function(){if(!window.speechProcessor?.isRunning){window.speechProcessor=new De;const e=document.getElementById("delaySlider"),t=document.getElementById("inputGainSlider"),s=document.getElementById("pitchShiftSlider");window.speechProcessor.updateDelayTime(Number(e?.value??200)),window.speechProcessor.updateGain(Number(t?.value??1)),F?(window.speechProcessor.updateMultiFAFNodes($()),window.speechProcessor.updatePitchShift(0)):(window.speechProcessor.updateMultiFAFNodes([]),window.speechProcessor.updatePitchShift(x(Number(s?.value??0),S))),k&&(window.speechProcessor.setPreferredDevice(k),k=null),window.speechProcessor.seedAudioConstraints(I,C),window.speechProcessor.updateVoiceProfile(U),window.speechProcessor.updateFAFMode(R),J();try{await window.speechProcessor.start()}catch{}}else await window.speechProcessor?.stop(),window.speechProcessor=void 0,Q()};document.addEventListener("DOMContentLoaded",()=>{const n=document.getElementById("statusMessage"),e=document.getElementById("delaySlider"),t=document.getElementById("inputGainSlider"),s=document.getElementById("pitchShiftSlider");if(n?.classList.add("status-default"),e){const i=document.getElementById("delayValue");i&&(i.textContent=`${e.value} ms`)}if(t){const i=document.getElementById("inputGainValue");i&&(i.textContent=`${t.value}x`)}if(s){const i=document.getElementById("pitchShiftValue");i&&(i.textContent=L(Number(s.value),S))}e?.addEventListener("input",i=>{const c=Number(i.target.value),r=i.target;r.setAttribute("aria-valuenow",String(c)),r.setAttribute("aria-valuetext",`${c} milliseconds`);const o=document.getElementById("delayValue");o&&(o.textContent=`${c} ms`),window.speechProcessor?.updateDelayTime(c)}),t?.addEventListener("input",i=>{const c=Number(i.target.value);i.target.setAttribute("aria-valuenow",String(c)),i.target.setAttribute("aria-valuetext",`${c}x`);const r=document.getElementById("inputGainValue");r&&(r.textContent=`${c}x`),window.speechProcessor?.updateGain(c)}),s?.addEventListener("input",i=>{const c=Number(i.target.value),r=L(c,S),o=x(c,S),h=document.getElementById("pitchShiftValue");h&&(h.textContent=r),i.target.setAttribute("aria-valuenow",String(c)),i.target.setAttribute("aria-valuetext",r),window.speechProcessor?.updatePitchShift(o)});function a(i,c){document.querySelectorAll(`.mode-btn[data-group="${i}"]`).forEach(r=>{const o=r.dataset.value===c;r.classList.toggle("mode-btn--active",o),r.setAttribute("aria-pressed",String(o))})}a("faf-type","single"),document.querySelectorAll(".mode-btn[data-group]").forEach(i=>{i.addEventListener("click",()=>{const c=i.dataset.group,r=i.dataset.value;switch(c){case"faf-type":{const o=document.getElementById("singleFAFSection"),h=o&&!o.hidden;if(r===(F?"multi":h?"single":"off"))return;a("faf-type",r);const f=document.getElementById("multiFAFSection"),M=document.getElementById("pitchUnitSection"),A=document.getElementById("offFAFSection");if(r==="off"){if(F=!1,A&&(A.hidden=!1),o&&(o.hidden=!0),f&&(f.hidden=!0),M&&(M.hidden=!0),s){const y=document.getElementById("pitchShiftValue");y&&(y.textContent="Off"),s.setAttribute("aria-valuetext","Off")}window.speechProcessor?.updateMultiFAFNodes([]),window.speechProcessor?.updatePitchShift(0)}else if(r==="single"){F=!1,A&&(A.hidden=!0),o&&(o.hidden=!1),f&&(f.hidden=!0),M&&(M.hidden=!1),window.speechProcessor?.updateMultiFAFNodes([]);const y=Number(s?.value??0),N=L(y,S);if(s){const j=document.getElementById("pitchShiftValue");j&&(j.textContent=N),s.setAttribute("aria-valuenow",String(y)),s.setAttribute("aria-valuetext",N)}window.speechProcessor?.updatePitchShift(x(y,S))}else F=!0,A&&(A.hidden=!0),o&&(o.hidden=!0),f&&(f.hidden=!1),M&&(M.hidden=!0),window.speechProcessor?.updateMultiFAFNodes($());break}case"faf-count":{const o=Number(r);if(!o||o===T)return;T=o,a("faf-count",r),K(),F&&window.speechProcessor?.updateMultiFAFNodes($());break}case"pitch-unit":{const o=r;if(o===S)return;const h=s?x(Number(s.value),S):0;S=o,a("pitch-unit",r);const v=document.getElementById("centsRangeSelector");if(v&&(v.hidden=o==="semitones"),document.querySelectorAll('.mode-btn[data-group="cents-range"]').forEach(f=>{f.disabled=o==="semitones"}),s){if(o==="semitones"){const y=Math.round(Math.max(-8,Math.min(8,h)));s.min="-8",s.max="8",s.step="1",s.value=String(y),s.setAttribute("aria-valuemin","-8"),s.setAttribute("aria-valuemax","8")}else{const y=O,N=Math.round(Math.max(-y,Math.min(y,h*100)));s.min=String(-y),s.max=String(y),s.step="1",s.value=String(N),s.setAttribute("aria-valuemin",String(-y)),s.setAttribute("aria-valuemax",String(y))}const f=Number(s.value),M=L(f,o),A=document.getElementById("pitchShiftValue");A&&(A.textContent=M),s.setAttribute("aria-valuenow",String(f)),s.setAttribute("aria-valuetext",M),window.speechProcessor?.updatePitchShift(x(f,o))}break}case"cents-range":{const o=Number(r);if(!o||o===O||S!=="cents")return;if(O=o,a("cents-range",r),s){const h=Math.max(-o,Math.min(o,Number(s.value)));s.min=String(-o),s.max=String(o),s.value=String(h),s.setAttribute("aria-valuemin",String(-o)),s.setAttribute("aria-valuemax",String(o));const v=L(h,"cents"),f=document.getElementById("pitchShiftValue");f&&(f.textContent=v),s.setAttribute("aria-valuenow",String(h)),s.setAttribute("aria-valuetext",v),window.speechProcessor?.updatePitchShift(h/100)}break}case"faf-mode":{const o=r;if(o===R)return;R=o,a("faf-mode",r),p(o),window.speechProcessor?.updateFAFMode(o);break}case"voice-type":{const o=Number(r);if(!o||o===U)return;U=o,a("voice-type",r),window.speechProcessor?.updateVoiceProfile(o);break}case"bench-mode":{const o=document.getElementById("benchmarkContainer");if(!o)return;a("bench-mode",r),o.className=o.className.replace(/\bbench-mode--\w+/g,"").trim()+` bench-mode--${r}`;break}}})});const d=document.getElementById("advancedToggle"),l=document.getElementById("advancedPanel");d?.addEventListener("click",()=>{const i=d.getAttribute("aria-checked")==="true";d.setAttribute("aria-checked",String(!i)),d.classList.toggle("toggle-switch--on",!i),l&&(l.hidden=i)});const u=(i,c,r,o)=>{const h=document.getElementById(i);h&&h.addEventListener("click",()=>{const v=!c();r(v),h.setAttribute("aria-checked",String(v)),h.classList.toggle("toggle-switch--on",v),o(v)})};u("echoCancelToggle",()=>I,i=>{I=i},()=>window.speechProcessor?.updateAudioConstraints(I,C).catch(i=>console.warn("Constraint update failed:",i))),u("noiseSuppressToggle",()=>C,i=>{C=i},()=>window.speechProcessor?.updateAudioConstraints(I,C).catch(i=>console.warn("Constraint update failed:",i)));const p=i=>{document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(c=>{c.disabled=i==="ola",c.title=i==="ola"?"Voice type only applies in High-Fidelity mode":""}),i==="ola"?document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(c=>{c.addEventListener("click",w,{capture:!0})}):document.querySelectorAll('.mode-btn[data-group="voice-type"]').forEach(c=>{c.removeEventListener("click",w,{capture:!0})})};function w(){const i=document.querySelector('.mode-btn[data-group="faf-mode"][data-value="psola"]');i&&(i.classList.remove("mode-btn--glow"),i.offsetWidth,i.classList.add("mode-btn--glow"),i.addEventListener("animationend",()=>i.classList.remove("mode-btn--glow"),{once:!0}))}p(R),K();const g=document.getElementById("benchmarkBtn"),_=document.getElementById("benchmarkContainer");function m(i,c){const r=_?.querySelector(`[data-bench="${i}"]`);r&&(r.textContent=c)}g?.addEventListener("click",async()=>{if(!window.speechProcessor?.isRunning){if(!document.getElementById("benchmarkInactiveMsg")){const c=document.createElement("p");c.id="benchmarkInactiveMsg",c.className="bench-inactive-msg",c.innerHTML='Measures active session. <a href="#dafButton" class="bench-inactive-link" id="benchmarkStartLink">Start auditory feedback</a> first.',g.insertAdjacentElement("afterend",c),document.getElementById("benchmarkStartLink")?.addEventListener("click",o=>{o.preventDefault();const h=document.getElementById("dafButton");h&&(h.scrollIntoView({behavior:"smooth",block:"center"}),h.focus(),h.classList.add("btn--highlight"),setTimeout(()=>h.classList.remove("btn--highlight"),1800))});const r=new MutationObserver(()=>{window.speechProcessor?.isRunning&&(c.remove(),r.disconnect())});r.observe(document.getElementById("statusMessage")??document.body,{childList:!0,subtree:!0,characterData:!0})}return}g.disabled=!0,g.textContent="Running…";try{const i=await window.speechProcessor.runBenchmark(),c=i.jitter.stddevMs<.5?"✅ Excellent":i.jitter.stddevMs<1.5?"🟡 Good":i.jitter.stddevMs<3?"🟠 Moderate":"🔴 High";m("sampleRate",i.sampleRate.toLocaleString()+" Hz"),m("estimatedBuffer",i.estimatedBufferSamples+" samples"),m("baseLatency",i.baseLatencyMs>0?i.baseLatencyMs+" ms":"0 ms (not reported by this browser)"),m("outputLatency",i.outputLatencyMs+" ms"),m("inputLatency",i.inputLatencyMs!==null?i.inputLatencyMs+" ms":"n/a"),m("fafLatency",i.fafLatencyMs>0?i.fafLatencyMs+" ms":"off"),m("totalFloor",i.totalFloorMs+" ms"),m("quantumMs",i.quantumMs+" ms"),m("jitterSamples",String(i.jitter.samples)),m("minDrift",i.jitter.minDriftMs+" ms"),m("maxDrift",i.jitter.maxDriftMs+" ms"),m("meanDrift",i.jitter.meanDriftMs+" ms"),m("p95Drift",i.jitter.p95DriftMs+" ms"),m("jitterStddev",i.jitter.stddevMs+" ms — "),m("jitterRating",c);const r=document.getElementById("jitterHighWarn");r&&(r.hidden=i.jitter.stddevMs<3);const o=document.getElementById("clockCoarsenedWarn");o&&(o.hidden=!i.clockCoarsened),_&&(_.hidden=!1)}catch(i){new G().updateStatus(`Benchmark failed: ${i.message}`,"error")}finally{g.disabled=!1,g.textContent="Run Benchmark"}}),document.getElementById("dafButton")?.addEventListener("click",()=>window.toggleDAF()),n?.addEventListener("click",()=>{window.speechProcessor&&window.speechProcessor.attemptResumeAudio()});const D=document.getElementById("deviceSelect"),b=new G;navigator.mediaDevices?.enumerateDevices().then(i=>{const c=i.filter(r=>r.kind==="audioinput");if(c.some(r=>r.label)){const r=c[0]?.deviceId??null;b.populateDeviceDropdown(c,r),r&&!k&&(k=r)}else b.setDeviceDropdownPending()}).catch(()=>{b.setDeviceDropdownPending()}),D?.addEventListener("change",i=>{const c=i.target.value;c&&(window.speechProcessor?window.speechProcessor.selectAudioDevice(c).catch(r=>console.warn("Device select failed:",r)):k=c,window.sendAnalyticsEvent?.("device_dropdown_select",{deviceId:c}))})});function K(){const n=document.getElementById("fafSignalSliders");if(n){n.innerHTML="";for(let e=0;e<T;e++){const t=H[e]??0,s=t===0?"0 st (unshifted)":`${t>0?"+":""}${t} st`,a=document.createElement("div");a.className="faf-signal-row",a.innerHTML=`
-      <label class="faf-signal-label" for="fafSignal${e}">
-        Signal ${e+1}:
-        <span id="fafSignalValue${e}" class="slider-value">${s}</span>
-      </label>
-      <input
-        type="range"
-        id="fafSignal${e}"
-        class="faf-signal-slider"
-        min="-8" max="8" step="1" value="${t}"
-        aria-valuemin="-8" aria-valuemax="8"
-        aria-valuenow="${t}" aria-valuetext="${s}"
-        data-index="${e}"
-      />
-    `,n.appendChild(a),a.querySelector(".faf-signal-slider").addEventListener("input",l=>{const u=Number(l.target.dataset.index),p=Number(l.target.value);H[u]=p;const w=p===0?"0 st (unshifted)":`${p>0?"+":""}${p} st`,g=document.getElementById(`fafSignalValue${u}`);g&&(g.textContent=w),l.target.setAttribute("aria-valuenow",String(p)),l.target.setAttribute("aria-valuetext",w),F&&window.speechProcessor?.updateMultiFAFNodes($())})}}}(function(){const n=document.getElementById("statusMessage");if(!n)return;let e=n.textContent;const t=()=>{n.classList.remove("status-flash"),n.offsetWidth,n.classList.add("status-flash"),setTimeout(()=>n.classList.remove("status-flash"),1100)};new MutationObserver(()=>{const s=n.textContent;s!==e&&(e=s,t())}).observe(n,{characterData:!0,childList:!0,subtree:!0})})();(function(){const n=document.getElementById("advancedPanel");n&&new MutationObserver(()=>{n.hasAttribute("hidden")?n.setAttribute("inert",""):n.removeAttribute("inert")}).observe(n,{attributes:!0,attributeFilter:["hidden"]})})();
@@ -1 +0,0 @@
-const F=Math.ceil(512)+2,w=1,b=.6,H=2,V=256,v=128,k=F,Y=8192,C=2048,G=8192,U=4096,X=1024,D=256,E=4,K=.15,d=b,R=2,W=X,B=W-1,m=new Float32Array(W);for(let t=0;t<W;t++)m[t]=.5-.5*Math.cos(2*Math.PI*t/(W-1));const Z=128,A=V,j=v,N=k,x=Y,y=C,p=x-1,I=y-1;class Q extends AudioWorkletProcessor{static get parameterDescriptors(){return[{name:"pitchRatio",defaultValue:1,minValue:d,maxValue:2,automationRate:"k-rate"}]}constructor(){super(),this._inBuf=new Float32Array(x),this._outBuf=new Float32Array(y),this._inW=0,this._outW=0,this._outR=0}process(t,i,s){const h=t[0]?.[0],o=i[0]?.[0];if(!h||!o)return!0;const n=h.length,a=Math.max(d,Math.min(2,s.pitchRatio[0]));for(let t=0;t<n;t++)this._inBuf[this._inW++&p]=h[t];if(this._inW<N+A)return o.fill(0),!0;const e=this._inW-N,_=A*a;for(let t=0;t<A;t++){const i=e+t/255*_,s=0|i,h=i-s,o=this._inBuf[s&p]*(1-h)+this._inBuf[s+1&p]*h;this._outBuf[this._outW+t&I]+=o*m[t*B/255|0]}if(this._outW+=j,this._outW-this._outR>=n)for(let t=0;t<n;t++){const i=this._outR++&I;o[t]=this._outBuf[i],this._outBuf[i]=0}else o.fill(0);return!0}}const P=G,S=U,u=P-1,f=S-1,M=D,q=4,T=K;class J extends AudioWorkletProcessor{static get parameterDescriptors(){return[{name:"pitchRatio",defaultValue:1,minValue:d,maxValue:2,automationRate:"k-rate"}]}constructor(t){super();const i=t?.processorOptions?.pitchFloor??120;this._tMin=Math.ceil(sampleRate/500),this._tMax=Math.floor(sampleRate/i),this._latency=Math.floor(1*this._tMax),this._inBuf=new Float32Array(P),this._outBuf=new Float32Array(S),this._inW=0,this._outW=0,this._outR=0,this._anaW=0,this._synthRemain=0,this._lastT0=Math.round((this._tMin+this._tMax)/2),this._smoothedR=1,this._wasVoiced=!1,this._voiced=!1,this._yinCount=0}process(t,i,s){const h=t[0]?.[0],o=i[0]?.[0];if(!h||!o)return!0;const n=h.length,a=Math.max(d,Math.min(2,s.pitchRatio[0]));this._smoothedR=.92*this._smoothedR+.08*a;for(let t=0;t<n;t++)this._inBuf[this._inW++&u]=h[t];if(this._inW<this._latency+M+this._tMax)return o.fill(0),this._anaW=this._inW,!0;for(this._synthRemain-=n;this._synthRemain<0;)this._generateGrain(this._smoothedR);if(this._outW-this._outR>=n)for(let t=0;t<n;t++){const i=this._outR++&f;o[t]=this._outBuf[i],this._outBuf[i]=0}else o.fill(0);return!0}_generateGrain(t){let i,s,h,o;if(--this._yinCount<=0&&(this._runYIN(),this._yinCount=4),this._voiced){const n=this._lastT0;i=this._findPitchMark(Math.round(this._anaW),n)-n,s=2*n,h=Math.max(1,Math.round(n/t)),o=1/t,i+s<this._inW&&(this._wasVoiced?this._overlapAdd(i,s,o):this._overlapAddCrossfaded(i,s,o)),this._anaW+=n,this._outW+=h,this._synthRemain+=h,this._wasVoiced=!0}else{h=Z;const t=Math.round(this._anaW)-h/2;if(t+h<this._inW)if(this._wasVoiced)for(let i=0;i<h;i++){const s=i/(h-1),o=this._inBuf[t+i&u];this._outBuf[this._outW+i&f]=this._outBuf[this._outW+i&f]*(1-s)+o*s}else for(let i=0;i<h;i++)this._outBuf[this._outW+i&f]=this._inBuf[t+i&u];this._anaW+=h,this._outW+=h,this._synthRemain+=h,this._wasVoiced=!1}const n=this._inW-this._tMax,a=this._inW-this._latency-M;this._anaW>n&&(this._anaW=n),this._anaW<a&&(this._anaW=a)}_runYIN(){const t=this._inW-this._latency-M,i=this._tMin,s=this._tMax;let h=0,o=-1,n=1;for(let a=1;a<=s;a++){let s=0;for(let i=0;i<M;i++){const h=this._inBuf[t+i&u]-this._inBuf[t+i-a&u];s+=h*h}if(h+=s,a<i)continue;const e=h>0?s*a/h:1;if(e<T&&e<n&&(n=e,o=a,e<.075))break}if(this._voiced=o>0,this._voiced){const t=Math.max(i,Math.min(s,o));this._lastT0=Math.round(.85*this._lastT0+.15*t)}}_findPitchMark(t,i){const s=Math.max(1,Math.round(.5*i));let h=t,o=1/0;for(let i=-s;i<=s;i++){const s=t+i,n=this._inBuf[s&u],a=this._inBuf[s-1&u];if(a<=0&&n>0){const t=Math.abs(n)+Math.abs(a);t<o&&(o=t,h=s)}}if(o===1/0){let i=1/0;for(let o=-s;o<=s;o++){const s=Math.abs(this._inBuf[t+o&u]);s<i&&(i=s,h=t+o)}}return h}_overlapAdd(t,i,s){if(i<2)return;const h=i-1;for(let o=0;o<i;o++){const i=o*B/h|0;this._outBuf[this._outW+o&f]+=this._inBuf[t+o&u]*m[i]*s}}_overlapAddCrossfaded(t,i,s){if(i<2)return;const h=i-1,o=Math.min(i,32);for(let n=0;n<i;n++){const i=n*B/h|0,a=n<o?n/(o-1):1,e=this._inBuf[t+n&u]*m[i]*s;this._outBuf[this._outW+n&f]=this._outBuf[this._outW+n&f]*(1-a)+e*a}}}registerProcessor("pitch-shifter-ola",Q),registerProcessor("pitch-shifter-psola",J);
\ No newline at end of file
@@ -0,0 +1 @@
+const Z=Math.ceil(512)+2,Wt=1,J=.6,Rt=2,Q=256,X=128,z=Z,$=8192,tt=2048,st=8192,it=4096,et=1024,ht=256,At=4,at=.15,v=J,kt=2,S=et,C=S-1,b=new Float32Array(S);for(let u=0;u<S;u++)b[u]=.5-.5*Math.cos(2*Math.PI*u/(S-1));const ot=128,H=Q,nt=X,O=z,T=$,L=tt,D=T-1,G=L-1;class _t extends AudioWorkletProcessor{static get parameterDescriptors(){return[{name:"pitchRatio",defaultValue:1,minValue:v,maxValue:2,automationRate:"k-rate"}]}constructor(){super(),this._inBuf=new Float32Array(T),this._outBuf=new Float32Array(L),this._inW=0,this._outW=0,this._outR=0}process(s,t,e){const i=s[0]?.[0],h=t[0]?.[0];if(!i||!h)return!0;const n=i.length,o=Math.max(v,Math.min(2,e.pitchRatio[0]));for(let r=0;r<n;r++)this._inBuf[this._inW++&D]=i[r];if(this._inW<O+H)return h.fill(0),!0;const a=this._inW-O,_=H*o;for(let r=0;r<H;r++){const l=a+r/255*_,c=0|l,m=l-c,B=this._inBuf[c&D]*(1-m)+this._inBuf[c+1&D]*m;this._outBuf[this._outW+r&G]+=B*b[r*C/255|0]}if(this._outW+=nt,this._outW-this._outR>=n)for(let r=0;r<n;r++){const l=this._outR++&G;h[r]=this._outBuf[l],this._outBuf[l]=0}else h.fill(0);return!0}}const x=st,N=it,M=x-1,g=N-1,V=ht,xt=4,rt=at;function U(u,s,t,e,i,h){let n=0,o=-1,a=1;for(let _=1;_<=h;_++){let r=0;for(let c=0;c<e;c++){const m=u[t+c&s]-u[t+c-_&s];r+=m*m}if(n+=r,_<i)continue;const l=n>0?r*_/n:1;if(l<rt&&l<a&&(a=l,o=_,l<.075))break}return o}class Y extends AudioWorkletProcessor{static get parameterDescriptors(){return[{name:"pitchRatio",defaultValue:1,minValue:v,maxValue:2,automationRate:"k-rate"}]}constructor(s){super();const t=s?.processorOptions?.pitchFloor??120;this._tMin=Math.ceil(sampleRate/500),this._tMax=Math.floor(sampleRate/t),this._latency=Math.floor(1*this._tMax),this._inBuf=new Float32Array(x),this._grainBuf=this._inBuf,this._outBuf=new Float32Array(N),this._inW=0,this._outW=0,this._outR=0,this._anaW=0,this._synthRemain=0,this._lastT0=Math.round((this._tMin+this._tMax)/2),this._smoothedR=1,this._wasVoiced=!1,this._voiced=!1,this._yinCount=0}process(s,t,e){const i=s[0]?.[0],h=t[0]?.[0];if(!i||!h)return!0;const n=i.length,o=Math.max(v,Math.min(2,e.pitchRatio[0]));this._smoothedR=.92*this._smoothedR+.08*o;for(let a=0;a<n;a++)this._inBuf[this._inW++&M]=i[a];if(this._inW<this._latency+V+this._tMax)return h.fill(0),this._anaW=this._inW,!0;for(this._synthRemain-=n;this._synthRemain<0;)this._generateGrain(this._smoothedR);if(this._outW-this._outR>=n)for(let a=0;a<n;a++){const _=this._outR++&g;h[a]=this._outBuf[_],this._outBuf[_]=0}else h.fill(0);return!0}_generateGrain(s){let t,e,i,h;if(--this._yinCount<=0&&(this._runYIN(),this._yinCount=4),this._voiced){const a=this._lastT0;t=this._findPitchMark(Math.round(this._anaW),a)-a,e=2*a,i=Math.max(1,Math.round(a/s)),h=1/s,t+e<this._inW&&(this._wasVoiced?this._overlapAdd(t,e,h):this._overlapAddCrossfaded(t,e,h)),this._anaW+=a,this._outW+=i,this._synthRemain+=i,this._wasVoiced=!0}else{i=ot;const a=Math.round(this._anaW)-i/2;if(a+i<this._inW)if(this._wasVoiced)for(let _=0;_<i;_++){const r=_/(i-1),l=this._grainBuf[a+_&M];this._outBuf[this._outW+_&g]=this._outBuf[this._outW+_&g]*(1-r)+l*r}else for(let _=0;_<i;_++)this._outBuf[this._outW+_&g]=this._grainBuf[a+_&M];this._anaW+=i,this._outW+=i,this._synthRemain+=i,this._wasVoiced=!1}const n=this._inW-this._tMax,o=this._inW-this._latency-V;this._anaW>n&&(this._anaW=n),this._anaW<o&&(this._anaW=o)}_runYIN(){const s=this._tMin,t=this._tMax,e=U(this._inBuf,M,this._inW-this._latency-V,V,s,t);if(this._voiced=e>0,this._voiced){const i=Math.max(s,Math.min(t,e));this._lastT0=Math.round(.85*this._lastT0+.15*i)}}_findPitchMark(s,t){const e=Math.max(1,Math.round(.5*t));let i=s,h=1/0;for(let n=-e;n<=e;n++){const o=s+n,a=this._inBuf[o&M],_=this._inBuf[o-1&M];if(_<=0&&a>0){const r=Math.abs(a)+Math.abs(_);r<h&&(h=r,i=o)}}if(h===1/0){let n=1/0;for(let o=-e;o<=e;o++){const a=Math.abs(this._inBuf[s+o&M]);a<n&&(n=a,i=s+o)}}return i}_overlapAdd(s,t,e){if(t<2)return;const i=t-1;for(let h=0;h<t;h++){const n=h*C/i|0;this._outBuf[this._outW+h&g]+=this._grainBuf[s+h&M]*b[n]*e}}_overlapAddCrossfaded(s,t,e){if(t<2)return;const i=t-1,h=Math.min(t,32);for(let n=0;n<t;n++){const o=n*C/i|0,a=n<h?n/(h-1):1,_=this._grainBuf[s+n&M]*b[o]*e;this._outBuf[this._outW+n&g]=this._outBuf[this._outW+n&g]*(1-a)+_*a}}}const y=1024,E=256,w=x/E,lt=2,ut=.05,ct=.25,j=new Float64Array(y);for(let u=0;u<y;u++)j[u]=.5-.5*Math.cos(2*Math.PI*u/(y-1));function ft(u,s,t,e){let i=u[0];if(!(i>1e-10))return!1;s.fill(0);for(let h=1;h<=e;h++){let n=u[h];for(let a=1;a<h;a++)n+=s[a]*u[h-a];const o=-n/i;for(let a=1,_=h>>1;a<=_;a++){const r=s[a],l=s[h-a];s[a]=r+o*l,a!==h-a&&(s[h-a]=l+o*r)}if(s[h]=o,t[h-1]=o,i*=1-o*o,i<=0)return!1}return!0}class pt extends Y{constructor(s){super(s);const t=Math.min(32,Math.round(sampleRate/2e3)+4);this._order=t,this._kHist=Array.from({length:w},()=>new Float64Array(t)),this._cosHist=Array.from({length:w},()=>new Float64Array(t).fill(1)),this._gainHist=new Float64Array(w).fill(1),this._slot=0,this._slotFull=new Uint8Array(w),this._inSlot=new Uint8Array(x),this._outSlot=new Uint8Array(N),this._mark=0,this._tagW=0,this._a=new Float64Array(t+1),this._r=new Float64Array(t+1),this._frame=new Float64Array(y),this._anaState=new Float64Array(t),this._synState=new Float64Array(t+1),this._grainBuf=new Float32Array(x),this._lpcAt=0,this._inPeak=0,this._limGain=1,this._holdCoef=Math.exp(-1/(ct*sampleRate)),this._releaseCoef=1-Math.exp(-1/(ut*sampleRate))}process(s,t,e){const i=s[0]?.[0],h=t[0]?.[0];if(!i||!h)return!0;this._inW-this._lpcAt>=E&&this._analyse();const n=i.length,o=this._order,a=this._kHist[this._slot],_=this._anaState,r=this._slotFull[this._slot]?this._gainHist[this._slot]:0;let l=this._inPeak;for(let p=0;p<n;p++){let W=i[p],A=i[p];for(let f=0;f<o;f++){const d=_[f];_[f]=A,A=d+a[f]*W,W+=a[f]*d}const k=this._inW+p&M;this._grainBuf[k]=W*r,this._inSlot[k]=this._slot,l=Math.max(Math.abs(i[p]),l*this._holdCoef)}this._inPeak=l;const c=this._outR;if(super.process(s,t,e),this._outR===c)return!0;const m=this._synState,B=Math.min(1,lt*l);let R=this._limGain;for(let p=0;p<n;p++){const W=this._outSlot[c+p&g],A=this._kHist[W],k=this._cosHist[W];let f=h[p];if(!this._slotFull[W]){m.fill(0),h[p]=0;continue}for(let d=o-1;d>=0;d--){const I=m[d];m[d+1]=A[d]*f+k[d]*I,f=k[d]*f-A[d]*I}Number.isFinite(f)||(m.fill(0),f=0),m[0]=f,Math.abs(f)*R>B?R=B/Math.abs(f):R+=(1-R)*this._releaseCoef,h[p]=f*R}return this._limGain=R,!0}_generateGrain(s){const t=this._outW;this._mark=Math.round(this._anaW),super._generateGrain(s);const e=this._outW-t;if(e<=0)return;const i=t+(this._wasVoiced?this._lastT0:e>>1),h=this._mark-i,n=i+(e>>1);for(let o=Math.max(this._tagW,t);o<n;o++)this._outSlot[o&g]=this._inSlot[o+h&M];this._tagW=Math.max(this._tagW,n)}_findPitchMark(s,t){return this._mark=super._findPitchMark(s,t)}_normalise(s,t){let e=1;for(let i=0;i<s.length;i++)t[i]=Math.sqrt(1-s[i]*s[i]),e*=t[i];return 1/e}_analyse(){const s=this._frame,t=this._r,e=this._order,i=this._inW-y;for(let o=0;o<y;o++)s[o]=this._inBuf[i+o&M]*j[o];for(let o=0;o<=e;o++){let a=0;for(let _=o;_<y;_++)a+=s[_]*s[_-o];t[o]=a}const h=(this._inW/E|0)%w,n=this._kHist[h];t[0]*=1.0001,n.set(this._kHist[this._slot]),ft(t,this._a,n,e),this._gainHist[h]=this._normalise(n,this._cosHist[h]),this._slotFull[h]=this._inW>=y?1:0,this._slot=h,this._lpcAt=this._inW}}const K=4096,F=K-1,P=10,Mt=25,mt=250,q=3;class dt extends AudioWorkletProcessor{constructor(s){super();const t=s?.processorOptions?.pitchFloor??70;this._decim=sampleRate>=32e3?2:1,this._rate=sampleRate/this._decim,this._hop=Math.round(this._rate*P/1e3),this._win=Math.round(this._rate*.0055),this._tMin=Math.ceil(this._rate/500),this._tMax=Math.floor(this._rate/t),this._buf=new Float32Array(K),this._w=0,this._acc=0,this._accN=0,this._hopN=0,this._hopEnergy=0,this._hops=0,this._floorDb=-50,this._env=-100,this._rising=!0,this._peak=-100,this._peakVoiced=!1,this._valley=-100,this._voiced=!1,this._hadSpeech=!1,this._pauseRun=0,this._reset(),this.port.onmessage=e=>{e.data==="reset"&&this._reset()}}_reset(){this._stats={speechMs:0,silentMs:0,voicedMs:0,pauseCount:0,pauseTotalMs:0,longestPauseMs:0,syllables:0,f0Sum:0,f0Count:0,f0Min:0,f0Max:0},this._hadSpeech=!1,this._pauseRun=0}process(s){const t=s[0]?.[0];if(!t)return!0;for(let e=0;e<t.length;e++)if(this._acc+=t[e],++this._accN===this._decim){const i=this._acc/this._decim;this._acc=0,this._accN=0,this._buf[this._w++&F]=i,this._hopEnergy+=i*i,++this._hopN===this._hop&&this._analyseHop()}return!0}_analyseHop(){const s=this._stats,t=10*Math.log10(this._hopEnergy/this._hop+1e-10);this._hopEnergy=0,this._hopN=0,this._hops++,this._floorDb=t<this._floorDb?t:Math.min(this._floorDb+.01,t);const e=t>Math.max(this._floorDb+10,-55);e?(this._hops%2===0||!this._voiced)&&this._detectPitch():this._voiced=!1,e?(s.speechMs+=P,this._hadSpeech&&this._pauseRun>=mt&&(s.pauseCount++,s.pauseTotalMs+=this._pauseRun,s.longestPauseMs=Math.max(s.longestPauseMs,this._pauseRun)),this._pauseRun=0,this._hadSpeech=!0):(s.silentMs+=P,this._pauseRun+=P),this._voiced&&(s.voicedMs+=P),this._env=this._env<-99?t:.6*this._env+.4*t,this._trackSyllable(e),this._hops%Mt===0&&this.port.postMessage({...s})}_detectPitch(){if(this._w<this._win+this._tMax)return;const s=U(this._buf,F,this._w-this._win,this._win,this._tMin,this._tMax);if(this._voiced=s>0,!this._voiced)return;const t=this._rate/this._refineLag(s),e=this._stats;e.f0Sum+=t,e.f0Count++,e.f0Min=e.f0Count===1?t:Math.min(e.f0Min,t),e.f0Max=Math.max(e.f0Max,t)}_refineLag(s){const t=o=>{const a=this._w-this._win;let _=0;for(let r=0;r<this._win;r++){const l=this._buf[a+r&F]-this._buf[a+r-o&F];_+=l*l}return _};let e=t(s),i=s<this._tMax?t(s+1):1/0;for(;i<e&&s+1<this._tMax;)s++,e=i,i=t(s+1);const h=s>this._tMin?t(s-1):e,n=h-2*e+i;return n>0&&Number.isFinite(i)?s+.5*(h-i)/n:s}_trackSyllable(s){const t=this._env;this._rising?t>this._peak?(this._peak=t,this._peakVoiced=s&&this._voiced):t<this._peak-q&&(this._peakVoiced&&this._stats.syllables++,this._rising=!1,this._valley=t):t<this._valley?this._valley=t:t>this._valley+q&&(this._rising=!0,this._peak=t,this._peakVoiced=s&&this._voiced)}}const gt=.003;class yt extends AudioWorkletProcessor{static get parameterDescriptors(){return[{name:"level",defaultValue:.1,minValue:0,maxValue:1,automationRate:"k-rate"},{name:"gated",defaultValue:0,minValue:0,maxValue:1,automationRate:"k-rate"},{name:"attack",defaultValue:10,minValue:1,maxValue:1e3,automationRate:"k-rate"},{name:"release",defaultValue:150,minValue:10,maxValue:3e3,automationRate:"k-rate"}]}constructor(s){super(),this._type=s?.processorOptions?.noiseType??"white",this._pink=new Float32Array(7),this._lp=0,this._hp=0,this._hpIn=0,this._lpA=1-Math.exp(-2*Math.PI*800/sampleRate),this._hpA=Math.exp(-2*Math.PI*100/sampleRate),this._floorDb=-50,this._gain=0,this.port.onmessage=t=>{t.data?.noiseType&&(this._type=t.data.noiseType)}}process(s,t,e){const i=s[0]?.[0],h=t[0]?.[0];if(!h)return!0;const n=e.level[0];let o=1;if(e.gated[0]>=.5){let r=0;if(i)for(let c=0;c<i.length;c++)r+=i[c]*i[c];const l=10*Math.log10((i?r/i.length:0)+1e-10);this._floorDb=l<this._floorDb?l:Math.min(this._floorDb+gt,l),o=l>Math.max(this._floorDb+10,-55)?1:0}const a=1-Math.exp(-1e3/(e.attack[0]*sampleRate)),_=1-Math.exp(-1e3/(e.release[0]*sampleRate));for(let r=0;r<h.length;r++)this._gain+=(o-this._gain)*(o>this._gain?a:_),h[r]=this._gain>1e-4?this._noise()*this._gain*n:0;return!0}_noise(){const s=2*Math.random()-1;if(this._type==="white")return .5*s;const t=this._pink;t[0]=.99886*t[0]+.0555179*s,t[1]=.99332*t[1]+.0750759*s,t[2]=.969*t[2]+.153852*s,t[3]=.8665*t[3]+.3104856*s,t[4]=.55*t[4]+.5329522*s,t[5]=-.7616*t[5]-.016898*s;const e=(t[0]+t[1]+t[2]+t[3]+t[4]+t[5]+t[6]+.5362*s)*.11;if(t[6]=.115926*s,this._type==="pink")return e;this._lp+=this._lpA*(e-this._lp);const i=this._hpA*(this._hp+this._lp-this._hpIn);return this._hpIn=this._lp,this._hp=i,2.5*i}}registerProcessor("pitch-shifter-ola",_t),registerProcessor("pitch-shifter-psola",Y),registerProcessor("pitch-shifter-formant",pt),registerProcessor("speech-analyser",dt),registerProcessor("masking-noise",yt);
\ No newline at end of file